@@ -11,6 +11,7 @@ const defaultUsers = [
     lastName: 'User',
     role: 'admin',
     isActive: true,
+    emailVerified: true,
     learningPreferences: {
       difficulty: 'advanced',
       studyTime: 30,
@@ -24,6 +25,7 @@ const defaultUsers = [
     lastName: 'Doe',
     role: 'learner',
     isActive: true,
+    emailVerified: true,
     learningPreferences: {
       difficulty: 'beginner',
       studyTime: 15,
@@ -44,6 +46,7 @@ const defaultUsers = [
     lastName: 'Smith',
     role: 'learner',
     isActive: true,
+    emailVerified: true,
     learningPreferences: {
       difficulty: 'intermediate',
       studyTime: 20,
@@ -64,6 +67,7 @@ const defaultUsers = [
     lastName: 'Wilson',
     role: 'admin',
     isActive: true,
+    emailVerified: true,
     learningPreferences: {
       difficulty: 'advanced',
       studyTime: 45,
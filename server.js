@@ -8,6 +8,9 @@ dotenv.config();
 
 const app = express();
 
+// Trust the first proxy (Render) so req.ip is the client address
+app.set('trust proxy', 1);
+
 // CORS Configuration for production
 const corsOptions = {
   origin: function (origin, callback) {
@@ -64,6 +67,7 @@ const dictionaryRoutes = require('./src/routes/dictionary');
 const userProgressRoutes = require('./src/routes/userProgress');
 const wrongWordsRoutes = require('./src/routes/wrongWords');
 const adminRoutes = require('./src/routes/admin');
+const teacherRoutes = require('./src/routes/teacher');
 
 // Routes
 app.get('/', (req, res) => {
@@ -77,7 +81,8 @@ app.get('/', (req, res) => {
       dictionaries: '/api/dictionaries',
       user_progress: '/api/user',
       wrong_words: '/api/wrong-words',
-      admin: '/api/admin'
+      admin: '/api/admin',
+      teacher: '/api/teacher'
     }
   });
 });
@@ -98,6 +103,7 @@ app.use('/api/dictionaries', dictionaryRoutes);
 app.use('/api/user', userProgressRoutes);
 app.use('/api/wrong-words', wrongWordsRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/teacher', teacherRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -118,6 +124,15 @@ const PORT = process.env.PORT || 3000;
 // Start server
 const startServer = async () => {
   await connectDB();
+
+  // Purge accounts whose deletion grace period has ended, hourly
+  const AccountDataService = require('./src/services/AccountDataService');
+  setInterval(() => {
+    AccountDataService.purgeDueAccounts().catch(error => {
+      console.error('❌ Account purge failed:', error.message);
+    });
+  }, 60 * 60 * 1000).unref();
+
   app.listen(PORT, () => {
     
   });
@@ -0,0 +1,54 @@
+/**
+ * Role → permission matrix.
+ * Routes check permissions with requirePermission() instead of role names,
+ * so adding a role only means adding a row here.
+ */
+const PERMISSIONS = {
+  DASHBOARD_READ: 'dashboard:read',
+  USERS_READ: 'users:read',
+  USERS_WRITE: 'users:write',
+  USERS_IMPERSONATE: 'users:impersonate',
+  DICTIONARIES_READ: 'dictionaries:read',
+  DICTIONARIES_WRITE: 'dictionaries:write',
+  STUDENTS_READ: 'students:read', // Progress of students assigned to the user
+  STUDENTS_ASSIGN: 'students:assign',
+  AUDIT_READ: 'audit:read',
+  INVITATIONS_MANAGE: 'invitations:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  learner: [],
+  teacher: [
+    PERMISSIONS.STUDENTS_READ
+  ],
+  content_editor: [
+    PERMISSIONS.DASHBOARD_READ,
+    PERMISSIONS.DICTIONARIES_READ,
+    PERMISSIONS.DICTIONARIES_WRITE
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles an invitation can grant; admins are only made by other admins directly
+const INVITABLE_ROLES = ['learner', 'teacher', 'content_editor'];
+
+// Permissions granted to a role (empty for unknown roles)
+const getRolePermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+// Whether a user's role grants a permission
+const hasPermission = (user, permission) => {
+  return !!user && getRolePermissions(user.role).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  INVITABLE_ROLES,
+  getRolePermissions,
+  hasPermission
+};
@@ -4,6 +4,14 @@ const UserDictionary = require('../models/UserDictionary');
 const WrongWords = require('../models/WrongWords');
 const Dictionary = require('../models/Dictionary');
 const DictionaryFile = require('../models/DictionaryFile');
+const Invitation = require('../models/Invitation');
+const LoginProtectionService = require('../services/LoginProtectionService');
+const AuditService = require('../services/AuditService');
+const { TARGET_TYPES } = require('../models/AuditLog');
+const { generateImpersonationToken } = require('../utils/jwt');
+const { INVITABLE_ROLES } = require('../config/permissions');
+
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 15;
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -22,6 +30,8 @@ class AdminController {
       const activeUsers = await User.countDocuments({ isActive: true });
       const adminUsers = await User.countDocuments({ role: 'admin' });
       const learnerUsers = await User.countDocuments({ role: 'learner' });
+      const teacherUsers = await User.countDocuments({ role: 'teacher' });
+      const contentEditorUsers = await User.countDocuments({ role: 'content_editor' });
 
       // Get content statistics from existing models
       const totalDictionaries = await Dictionary.countDocuments();
@@ -45,6 +55,8 @@ class AdminController {
         activeUsers,
         adminUsers,
         learnerUsers,
+        teacherUsers,
+        contentEditorUsers,
         totalDictionaries,
         totalDictionaryFiles,
         totalWordProgress,
@@ -147,7 +159,10 @@ class AdminController {
 
       res.json({
         success: true,
-        data: user
+        data: {
+          ...user.toObject(),
+          lockout: LoginProtectionService.getAccountLockState(user)
+        }
       });
     } catch (error) {
       console.error('Error fetching user details:', error);
@@ -170,6 +185,19 @@ class AdminController {
       delete updateData.password;
       delete updateData._id;
       delete updateData.__v;
+      delete updateData.loginSecurity;
+      delete updateData.twoFactor;
+      delete updateData.deletionRequestedAt;
+      delete updateData.deletionScheduledFor;
+      delete updateData.teachers; // Managed through setUserTeachers
+
+      const existingUser = await User.findById(id).select('-password');
+      if (!existingUser) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
 
       const user = await User.findByIdAndUpdate(
         id, 
@@ -184,6 +212,20 @@ class AdminController {
         });
       }
 
+      const fields = Object.keys(updateData);
+      const pick = (doc) => fields.reduce((values, field) => {
+        values[field] = doc.get(field);
+        return values;
+      }, {});
+
+      await AuditService.record(req, {
+        action: 'user.update',
+        targetType: 'user',
+        targetId: user._id,
+        before: pick(existingUser),
+        after: pick(user)
+      });
+
       res.json({
         success: true,
         data: user,
@@ -216,6 +258,14 @@ class AdminController {
       user.isActive = !user.isActive;
       await user.save();
 
+      await AuditService.record(req, {
+        action: user.isActive ? 'user.activate' : 'user.deactivate',
+        targetType: 'user',
+        targetId: user._id,
+        before: { isActive: !user.isActive },
+        after: { isActive: user.isActive }
+      });
+
       res.json({
         success: true,
         data: {
@@ -233,6 +283,191 @@ class AdminController {
     }
   }
 
+  /**
+   * Issue a short-lived, read-only token to see the app as another user
+   */
+  static async impersonateUser(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason = '' } = req.body;
+
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID format'
+        });
+      }
+
+      if (id === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot impersonate yourself'
+        });
+      }
+
+      const user = await User.findById(id).select('-password');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user.role === 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Admin accounts cannot be impersonated'
+        });
+      }
+
+      const accessToken = generateImpersonationToken(user, req.user, `${IMPERSONATION_TTL_MINUTES}m`);
+      const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+      await AuditService.record(req, {
+        action: 'user.impersonate',
+        targetType: 'user',
+        targetId: user._id,
+        after: { reason: String(reason).substring(0, 500), expiresAt }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          accessToken,
+          tokenType: 'Bearer',
+          expiresIn: `${IMPERSONATION_TTL_MINUTES}m`,
+          expiresAt,
+          readOnly: true,
+          user: {
+            id: user._id,
+            email: user.email,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role
+          }
+        },
+        message: 'Impersonation token issued. It is read-only and every request is audited.'
+      });
+    } catch (error) {
+      console.error('Error impersonating user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to impersonate user'
+      });
+    }
+  }
+
+  /**
+   * Assign the teachers who can see a learner's progress
+   */
+  static async setUserTeachers(req, res) {
+    try {
+      const { id } = req.params;
+      const { teacherIds } = req.body;
+
+      if (!Array.isArray(teacherIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'teacherIds must be an array'
+        });
+      }
+
+      const uniqueIds = [...new Set(teacherIds.map(String))];
+      if (uniqueIds.some(teacherId => !teacherId.match(/^[0-9a-fA-F]{24}$/))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid teacher ID format'
+        });
+      }
+
+      const user = await User.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const teachers = await User.find({ _id: { $in: uniqueIds }, role: 'teacher' }).select('firstName lastName email');
+      if (teachers.length !== uniqueIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Every assigned user must exist and have the teacher role'
+        });
+      }
+
+      const previousTeachers = user.teachers.map(teacherId => teacherId.toString());
+      user.teachers = teachers.map(teacher => teacher._id);
+      await user.save({ validateBeforeSave: false });
+
+      await AuditService.record(req, {
+        action: 'user.teachers.update',
+        targetType: 'user',
+        targetId: user._id,
+        before: { teachers: previousTeachers },
+        after: { teachers: user.teachers }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          userId: user._id,
+          teachers
+        },
+        message: 'Teachers updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating user teachers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update teachers'
+      });
+    }
+  }
+
+  /**
+   * Clear failed login attempts and lockout for a user
+   */
+  static async clearUserLockout(req, res) {
+    try {
+      const { id } = req.params;
+
+      const user = await User.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const previousLockout = LoginProtectionService.getAccountLockState(user);
+      await LoginProtectionService.clearAccount(user);
+
+      await AuditService.record(req, {
+        action: 'user.lockout.clear',
+        targetType: 'user',
+        targetId: user._id,
+        before: { lockout: previousLockout },
+        after: { lockout: LoginProtectionService.getAccountLockState(user) }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          userId: user._id,
+          lockout: LoginProtectionService.getAccountLockState(user)
+        },
+        message: 'User lockout cleared successfully'
+      });
+    } catch (error) {
+      console.error('Error clearing user lockout:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clear user lockout'
+      });
+    }
+  }
+
   /**
    * Get all dictionary files (both uploaded and existing)
    */
@@ -468,6 +703,14 @@ class AdminController {
         dictionary.is_active = !dictionary.is_active;
         await dictionary.save();
 
+        await AuditService.record(req, {
+          action: dictionary.is_active ? 'dictionary.activate' : 'dictionary.deactivate',
+          targetType: 'dictionary',
+          targetId: dictionary._id,
+          before: { is_active: !dictionary.is_active },
+          after: { is_active: dictionary.is_active }
+        });
+
         message = `Dictionary ${dictionary.is_active ? 'activated' : 'deactivated'} successfully`;
         
         res.json({
@@ -492,6 +735,14 @@ class AdminController {
         dictionary.isActive = !dictionary.isActive;
         await dictionary.save();
 
+        await AuditService.record(req, {
+          action: dictionary.isActive ? 'dictionary_file.activate' : 'dictionary_file.deactivate',
+          targetType: 'dictionary_file',
+          targetId: dictionary._id,
+          before: { isActive: !dictionary.isActive },
+          after: { isActive: dictionary.isActive }
+        });
+
         message = `Dictionary ${dictionary.isActive ? 'activated' : 'deactivated'} successfully`;
 
         res.json({
@@ -513,6 +764,65 @@ class AdminController {
     }
   }
 
+  /**
+   * Update answer grading settings of a dictionary
+   */
+  static async updateDictionaryGrading(req, res) {
+    try {
+      const { id } = req.params;
+      const { nearMissThreshold } = req.body;
+
+      if (nearMissThreshold === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'nearMissThreshold is required (a number from 0 to 5, or null for the length-based default)'
+        });
+      }
+
+      if (nearMissThreshold !== null && (!Number.isInteger(nearMissThreshold) || nearMissThreshold < 0 || nearMissThreshold > 5)) {
+        return res.status(400).json({
+          success: false,
+          message: 'nearMissThreshold must be an integer from 0 to 5, or null'
+        });
+      }
+
+      const dictionary = await Dictionary.findById(id);
+      if (!dictionary) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dictionary not found'
+        });
+      }
+
+      const previousThreshold = dictionary.grading.near_miss_threshold;
+      dictionary.grading.near_miss_threshold = nearMissThreshold;
+      await dictionary.save();
+
+      await AuditService.record(req, {
+        action: 'dictionary.grading.update',
+        targetType: 'dictionary',
+        targetId: dictionary._id,
+        before: { near_miss_threshold: previousThreshold },
+        after: { near_miss_threshold: nearMissThreshold }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          dictionaryId: dictionary._id,
+          grading: dictionary.grading
+        },
+        message: 'Dictionary grading updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating dictionary grading:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update dictionary grading'
+      });
+    }
+  }
+
   /**
    * Delete dictionary file (handles both uploaded and existing dictionaries)
    */
@@ -532,9 +842,18 @@ class AdminController {
         }
 
         // Don't actually delete existing dictionaries, just deactivate them
+        const wasActive = dictionary.is_active;
         dictionary.is_active = false;
         await dictionary.save();
 
+        await AuditService.record(req, {
+          action: 'dictionary.deactivate',
+          targetType: 'dictionary',
+          targetId: dictionary._id,
+          before: { is_active: wasActive },
+          after: { is_active: false }
+        });
+
         res.json({
           success: true,
           message: 'Dictionary deactivated successfully (existing dictionaries cannot be permanently deleted)'
@@ -561,6 +880,20 @@ class AdminController {
         // Delete from database
         await DictionaryFile.findByIdAndDelete(id);
 
+        await AuditService.record(req, {
+          action: 'dictionary_file.delete',
+          targetType: 'dictionary_file',
+          targetId: dictionaryFile._id,
+          before: {
+            name: dictionaryFile.name,
+            filename: dictionaryFile.filename,
+            wordCount: dictionaryFile.wordCount,
+            isActive: dictionaryFile.isActive,
+            uploadedBy: dictionaryFile.uploadedBy
+          },
+          after: null
+        });
+
         res.json({
           success: true,
           message: 'Dictionary deleted successfully'
@@ -575,6 +908,258 @@ class AdminController {
       });
     }
   }
+
+  /**
+   * Create an invitation code
+   */
+  static async createInvitation(req, res) {
+    try {
+      const { maxUses = 1, expiresInDays = null, role = null, dictionaryId = null, note = '' } = req.body;
+
+      const parsedMaxUses = parseInt(maxUses);
+      if (!Number.isInteger(parsedMaxUses) || parsedMaxUses < 1 || parsedMaxUses > 10000) {
+        return res.status(400).json({
+          success: false,
+          message: 'maxUses must be between 1 and 10000'
+        });
+      }
+
+      let expiresAt = null;
+      if (expiresInDays !== null && expiresInDays !== '') {
+        const days = parseInt(expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > 365) {
+          return res.status(400).json({
+            success: false,
+            message: 'expiresInDays must be between 1 and 365'
+          });
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+      }
+
+      if (role && !INVITABLE_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid role. Allowed roles: ${INVITABLE_ROLES.join(', ')}`
+        });
+      }
+
+      if (dictionaryId) {
+        if (!String(dictionaryId).match(/^[0-9a-fA-F]{24}$/)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid dictionary ID format'
+          });
+        }
+
+        const dictionary = await Dictionary.findById(dictionaryId);
+        if (!dictionary) {
+          return res.status(404).json({
+            success: false,
+            message: 'Dictionary not found'
+          });
+        }
+      }
+
+      const invitation = await Invitation.create({
+        code: Invitation.generateCode(),
+        note,
+        max_uses: parsedMaxUses,
+        role: role || null,
+        dictionary_id: dictionaryId || null,
+        expires_at: expiresAt,
+        created_by: req.user._id
+      });
+
+      await AuditService.record(req, {
+        action: 'invitation.create',
+        targetType: 'invitation',
+        targetId: invitation._id,
+        after: {
+          max_uses: invitation.max_uses,
+          role: invitation.role,
+          dictionary_id: invitation.dictionary_id,
+          expires_at: invitation.expires_at
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: invitation,
+        message: 'Invitation created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating invitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create invitation'
+      });
+    }
+  }
+
+  /**
+   * Get invitation codes with filtering
+   */
+  static async getInvitations(req, res) {
+    try {
+      const { page = 1, limit = 20, includeRevoked = 'false' } = req.query;
+
+      const filter = {};
+      if (includeRevoked !== 'true') filter.revoked_at = null;
+
+      const skip = (page - 1) * parseInt(limit);
+
+      const invitations = await Invitation.find(filter)
+        .populate('created_by', 'firstName lastName email')
+        .populate('dictionary_id', 'name display_name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const totalInvitations = await Invitation.countDocuments(filter);
+      const totalPages = Math.ceil(totalInvitations / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          invitations,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalInvitations,
+            hasNextPage: page < totalPages,
+            hasPreviousPage: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching invitations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch invitations'
+      });
+    }
+  }
+
+  /**
+   * Revoke an invitation code so it can no longer be redeemed
+   */
+  static async revokeInvitation(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid invitation ID format'
+        });
+      }
+
+      const invitation = await Invitation.findById(id);
+      if (!invitation || invitation.revoked_at) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      await invitation.revoke();
+
+      await AuditService.record(req, {
+        action: 'invitation.revoke',
+        targetType: 'invitation',
+        targetId: invitation._id,
+        before: { revoked_at: null },
+        after: { revoked_at: invitation.revoked_at }
+      });
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked successfully'
+      });
+    } catch (error) {
+      console.error('Error revoking invitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke invitation'
+      });
+    }
+  }
+
+  /**
+   * Get audit log entries with filtering
+   */
+  static async getAuditLog(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        actor = '',
+        targetType = '',
+        targetId = '',
+        from = '',
+        to = ''
+      } = req.query;
+
+      const objectIdPattern = /^[0-9a-fA-F]{24}$/;
+      if ((actor && !objectIdPattern.test(actor)) || (targetId && !objectIdPattern.test(targetId))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid ID format'
+        });
+      }
+
+      if (targetType && !TARGET_TYPES.includes(targetType)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid target type. Allowed types: ${TARGET_TYPES.join(', ')}`
+        });
+      }
+
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range'
+        });
+      }
+
+      const currentPage = Math.max(parseInt(page) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+      const { entries, total } = await AuditService.find({
+        actorId: actor,
+        targetType,
+        targetId,
+        from: fromDate,
+        to: toDate,
+        page: currentPage,
+        limit: pageSize
+      });
+
+      const totalPages = Math.ceil(total / pageSize);
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: {
+            currentPage,
+            totalPages,
+            totalEntries: total,
+            hasNextPage: currentPage < totalPages,
+            hasPreviousPage: currentPage > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch audit log'
+      });
+    }
+  }
 }
 
 module.exports = AdminController; 
\ No newline at end of file
@@ -356,17 +356,9 @@ const validateDictionary = async (req, res) => {
   }
 };
 
-// Initialize/reload dictionaries (admin only)
+// Initialize/reload dictionaries (requires dictionaries:write)
 const initializeDictionaries = async (req, res) => {
   try {
-    // Check if user has admin role
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Only admin users can initialize dictionaries'
-      });
-    }
-
     const loader = new DictionaryLoader();
     
     // Connect to database (reuse existing connection)
@@ -389,17 +381,9 @@ const initializeDictionaries = async (req, res) => {
   }
 };
 
-// Clear dictionary cache (admin only)
+// Clear dictionary cache (requires dictionaries:write)
 const clearCache = async (req, res) => {
   try {
-    // Check if user has admin role
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Only admin users can clear cache'
-      });
-    }
-
     const { dictionary_name } = req.query;
     
     if (dictionary_name) {
@@ -0,0 +1,80 @@
+const UserDictionary = require('../models/UserDictionary');
+const ActivityService = require('../services/ActivityService');
+
+// Get today's progress against the daily goal of each dictionary being studied
+const getTodayGoals = async (req, res) => {
+  try {
+    const user = req.user;
+    const now = new Date();
+    const day = ActivityService.dayFor(user, now);
+
+    const [userDictionaries, activityByDictionary] = await Promise.all([
+      UserDictionary.find({ user_id: user._id, status: { $ne: 'not_started' } }).populate('dictionary_id'),
+      ActivityService.getDay(user._id, day)
+    ]);
+
+    // Dictionaries in progress, plus any other dictionary answered today
+    const dictionaries = userDictionaries
+      .filter(userDict => userDict.dictionary_id)
+      .filter(userDict => userDict.status === 'in_progress' || activityByDictionary.has(userDict.dictionary_id._id.toString()))
+      .map(userDict => {
+        const activity = activityByDictionary.get(userDict.dictionary_id._id.toString());
+        const goal = userDict.settings.daily_goal;
+        const wordsStudied = activity ? activity.words_studied : 0;
+
+        return {
+          dictionary: {
+            id: userDict.dictionary_id._id,
+            name: userDict.dictionary_id.name,
+            display_name: userDict.dictionary_id.display_name
+          },
+          daily_goal: goal,
+          words_studied: wordsStudied,
+          new_words: activity ? activity.new_words : 0,
+          total_answers: activity ? activity.total_answers : 0,
+          correct_answers: activity ? activity.correct_answers : 0,
+          goal_percentage: Math.min(100, Math.round((wordsStudied / goal) * 100 * 100) / 100),
+          goal_met: wordsStudied >= goal
+        };
+      });
+
+    const totalGoal = dictionaries.reduce((sum, d) => sum + d.daily_goal, 0);
+    // Words beyond one dictionary's goal don't make up for another dictionary falling short
+    const goalProgress = dictionaries.reduce((sum, d) => sum + Math.min(d.words_studied, d.daily_goal), 0);
+    const activities = [...activityByDictionary.values()];
+
+    res.json({
+      message: 'Daily goals retrieved successfully',
+      day,
+      timezone: ActivityService.timeZoneOf(user),
+      summary: {
+        daily_goal: totalGoal,
+        goal_progress: goalProgress,
+        goal_percentage: totalGoal > 0 ? Math.round((goalProgress / totalGoal) * 100 * 100) / 100 : 0,
+        goal_met: dictionaries.length > 0 && dictionaries.every(d => d.goal_met),
+        words_studied: activities.reduce((sum, a) => sum + a.words_studied, 0),
+        new_words: activities.reduce((sum, a) => sum + a.new_words, 0),
+        total_answers: activities.reduce((sum, a) => sum + a.total_answers, 0),
+        correct_answers: activities.reduce((sum, a) => sum + a.correct_answers, 0),
+        study_time_seconds: Math.round(activities.reduce((sum, a) => sum + a.study_time, 0) / 1000)
+      },
+      streak: {
+        current: ActivityService.currentStreak(user, now),
+        longest: user.statistics.longestStreak,
+        studied_today: activities.some(a => a.total_answers > 0)
+      },
+      dictionaries
+    });
+
+  } catch (error) {
+    console.error('Get daily goals error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve daily goals',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTodayGoals
+};
@@ -0,0 +1,277 @@
+const Quiz = require('../models/Quiz');
+const WrongWords = require('../models/WrongWords');
+const StudySession = require('../models/StudySession');
+const QuizService = require('../services/QuizService');
+const ActivityService = require('../services/ActivityService');
+const DictionaryService = require('../services/DictionaryService');
+const { DIRECTIONS } = require('../models/Quiz');
+
+// What a wrong answer shows the learner got wrong, by quiz direction
+const ERROR_TYPES = {
+  en_zh: 'meaning',
+  zh_en: 'recall'
+};
+
+// Create a multiple-choice quiz from a dictionary
+const createQuiz = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { id: dictionaryId } = req.params;
+    const { direction = 'en_zh' } = req.body;
+    const count = parseInt(req.body.count) || 10;
+
+    if (!dictionaryId || !dictionaryId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid dictionary ID format'
+      });
+    }
+
+    if (!DIRECTIONS.includes(direction)) {
+      return res.status(400).json({
+        error: 'Invalid quiz direction',
+        allowed: DIRECTIONS
+      });
+    }
+
+    if (count < 1 || count > QuizService.maxQuestions) {
+      return res.status(400).json({
+        error: `Question count must be between 1 and ${QuizService.maxQuestions}`
+      });
+    }
+
+    const { questions } = await QuizService.buildQuestions(dictionaryId, { count, direction });
+
+    const quiz = await Quiz.create({
+      user_id: userId,
+      dictionary_id: dictionaryId,
+      direction,
+      questions,
+      score: { correct: 0, total: questions.length },
+      expires_at: new Date(Date.now() + QuizService.ttlMs)
+    });
+
+    res.status(201).json({
+      message: 'Quiz created successfully',
+      quiz: quiz.toClientJSON()
+    });
+
+  } catch (error) {
+    console.error('Create quiz error:', error);
+
+    if (error.message.includes('not found') || error.message.includes('not active')) {
+      return res.status(404).json({
+        error: 'Dictionary not found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to create quiz',
+      message: error.message
+    });
+  }
+};
+
+// Get a quiz; the answer key is only included once it has been submitted
+const getQuiz = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+
+    if (!quizId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid quiz ID format'
+      });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, user_id: req.user._id });
+
+    if (!quiz) {
+      return res.status(404).json({
+        error: 'Quiz not found'
+      });
+    }
+
+    res.json({
+      message: 'Quiz retrieved successfully',
+      quiz: quiz.toClientJSON()
+    });
+
+  } catch (error) {
+    console.error('Get quiz error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve quiz',
+      message: error.message
+    });
+  }
+};
+
+// Grade a quiz against the stored answer key
+const submitQuiz = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { quizId } = req.params;
+    const { answers, studySessionId = null } = req.body;
+
+    if (!quizId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid quiz ID format'
+      });
+    }
+
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({
+        error: 'answers must be an array of selected option indexes (null to skip a question)'
+      });
+    }
+
+    let studySession = null;
+    if (studySessionId) {
+      studySession = await StudySession.findActiveForUser(userId, studySessionId);
+      if (!studySession) {
+        return res.status(404).json({
+          error: 'Study session not found or already ended'
+        });
+      }
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, user_id: userId });
+
+    if (!quiz) {
+      return res.status(404).json({
+        error: 'Quiz not found'
+      });
+    }
+
+    if (quiz.submitted_at) {
+      return res.status(409).json({
+        error: 'Quiz has already been submitted'
+      });
+    }
+
+    if (quiz.expires_at <= new Date()) {
+      return res.status(410).json({
+        error: 'Quiz has expired'
+      });
+    }
+
+    if (answers.length !== quiz.questions.length) {
+      return res.status(400).json({
+        error: `Expected ${quiz.questions.length} answers, got ${answers.length}`
+      });
+    }
+
+    let correct = 0;
+    quiz.questions.forEach((question, index) => {
+      const selected = Number.isInteger(answers[index]) && answers[index] >= 0 && answers[index] < question.options.length
+        ? answers[index]
+        : null;
+
+      question.selected_option = selected;
+      question.is_correct = selected === question.correct_option;
+      if (question.is_correct) correct += 1;
+    });
+
+    // Claim the submission atomically so a double submit can't record twice;
+    // submitted quizzes drop their expiry so the TTL index keeps them
+    const now = new Date();
+    const claimed = await Quiz.findOneAndUpdate(
+      { _id: quiz._id, submitted_at: null, expires_at: { $gt: now } },
+      {
+        $set: {
+          questions: quiz.questions.map(question => question.toObject()),
+          'score.correct': correct,
+          'score.total': quiz.questions.length,
+          submitted_at: now
+        },
+        $unset: { expires_at: 1 }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      // Lost the claim: either another submit won or the quiz expired meanwhile
+      const current = await Quiz.findById(quiz._id).select('submitted_at');
+      if (!current || !current.submitted_at) {
+        return res.status(410).json({
+          error: 'Quiz has expired'
+        });
+      }
+      return res.status(409).json({
+        error: 'Quiz has already been submitted'
+      });
+    }
+
+    // Feed results into the wrong-words list
+    const errorType = ERROR_TYPES[claimed.direction];
+    for (const question of claimed.questions) {
+      const wrongWord = await WrongWords.findOne({
+        user_id: userId,
+        dictionary_id: claimed.dictionary_id,
+        word: question.word
+      });
+      const userAnswer = question.selected_option !== null ? question.options[question.selected_option] : '';
+      const correctAnswer = question.options[question.correct_option];
+      const wrongWordAdded = !question.is_correct && (!wrongWord || wrongWord.is_resolved);
+
+      if (wrongWord) {
+        if (!question.is_correct) {
+          await wrongWord.addError(userAnswer, correctAnswer, errorType, 'quiz');
+        }
+        await wrongWord.addReview(question.is_correct, 'quiz');
+      } else if (!question.is_correct) {
+        const wordData = await DictionaryService.getWordByIndex(claimed.dictionary_id, question.word_index);
+        const newWrongWord = new WrongWords({
+          user_id: userId,
+          dictionary_id: claimed.dictionary_id,
+          word: question.word,
+          word_data: wordData
+        });
+
+        await newWrongWord.addError(userAnswer, correctAnswer, errorType, 'quiz');
+      }
+
+      if (studySession) {
+        studySession.answers.push({
+          dictionary_id: claimed.dictionary_id,
+          word: question.word,
+          source: 'quiz',
+          is_correct: question.is_correct,
+          wrong_word_added: wrongWordAdded,
+          answered_at: new Date()
+        });
+      }
+
+      // Skipped questions don't count as study
+      if (question.selected_option !== null) {
+        await ActivityService.recordAnswer(req.user, {
+          dictionaryId: claimed.dictionary_id,
+          word: question.word,
+          isCorrect: question.is_correct
+        });
+      }
+    }
+
+    if (studySession) {
+      studySession.last_activity_at = new Date();
+      await studySession.save();
+    }
+
+    res.json({
+      message: 'Quiz submitted successfully',
+      quiz: claimed.toClientJSON()
+    });
+
+  } catch (error) {
+    console.error('Submit quiz error:', error);
+    res.status(500).json({
+      error: 'Failed to submit quiz',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  createQuiz,
+  getQuiz,
+  submitQuiz
+};
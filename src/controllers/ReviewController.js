@@ -0,0 +1,298 @@
+const User = require('../models/User');
+const Dictionary = require('../models/Dictionary');
+const UserWordProgress = require('../models/UserWordProgress');
+const WrongWords = require('../models/WrongWords');
+const StudySession = require('../models/StudySession');
+const DictionaryService = require('../services/DictionaryService');
+const GradingService = require('../services/GradingService');
+const ActivityService = require('../services/ActivityService');
+const { SCHEDULER_NAMES } = require('../services/schedulers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_REVIEW_LIMIT = 20;
+const MAX_REVIEW_LIMIT = 100;
+
+// Shape the schedule fields shown to the client
+const formatSchedule = (wordProgress) => ({
+  next_review: wordProgress.next_review,
+  overdue_days: Math.max(0, Math.floor((Date.now() - wordProgress.next_review.getTime()) / DAY)),
+  interval: wordProgress.spaced_repetition.interval,
+  ease_factor: wordProgress.spaced_repetition.ease_factor,
+  repetition: wordProgress.spaced_repetition.repetition,
+  mastery_level: wordProgress.mastery_level,
+  learning_status: wordProgress.learning_status
+});
+
+// Get words due for spaced-repetition review
+const getDueReviews = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { dictionaryId = null } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_REVIEW_LIMIT, 1), MAX_REVIEW_LIMIT);
+
+    if (dictionaryId && !dictionaryId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid dictionary ID format'
+      });
+    }
+
+    // Words from deactivated dictionaries are neither listed nor counted
+    const activeDictionaryIds = await Dictionary.findActive().distinct('_id');
+    const dueQuery = {
+      user_id: userId,
+      next_review: { $lte: new Date() },
+      is_mastered: false,
+      dictionary_id: { $in: activeDictionaryIds }
+    };
+    if (dictionaryId) {
+      dueQuery.dictionary_id.$eq = dictionaryId;
+    }
+
+    // Most overdue first; among equally overdue words, the weakest first
+    const [dueWords, totalDue] = await Promise.all([
+      UserWordProgress.find(dueQuery)
+        .populate('dictionary_id')
+        .sort({ next_review: 1, mastery_level: 1 })
+        .limit(limit),
+      UserWordProgress.countDocuments(dueQuery)
+    ]);
+
+    const reviews = [];
+    for (const wordProgress of dueWords) {
+      // Skip words whose dictionary was deactivated or whose file changed
+      if (!wordProgress.dictionary_id || !wordProgress.dictionary_id.is_active) continue;
+
+      let word;
+      try {
+        word = await DictionaryService.getWordByIndex(wordProgress.dictionary_id._id, wordProgress.word_index);
+      } catch (error) {
+        continue;
+      }
+      if (word.name !== wordProgress.word) continue;
+
+      reviews.push({
+        word_progress_id: wordProgress._id,
+        word,
+        schedule: formatSchedule(wordProgress)
+      });
+    }
+
+    res.json({
+      message: 'Due reviews retrieved successfully',
+      reviews,
+      total_due: totalDue
+    });
+
+  } catch (error) {
+    console.error('Get due reviews error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve due reviews',
+      message: error.message
+    });
+  }
+};
+
+// Answer a review; updates the word's schedule but never moves current_position
+const submitReviewAnswer = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { wordProgressId } = req.params;
+    const { userAnswer, mode = 'meaning', responseTime = 0, userDifficulty = null, studySessionId = null } = req.body;
+
+    if (!wordProgressId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid word progress ID format'
+      });
+    }
+
+    if (typeof userAnswer !== 'string') {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['userAnswer']
+      });
+    }
+
+    if (!GradingService.modes.includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid answer mode',
+        allowed: GradingService.modes
+      });
+    }
+
+    let studySession = null;
+    if (studySessionId) {
+      studySession = await StudySession.findActiveForUser(userId, studySessionId);
+      if (!studySession) {
+        return res.status(404).json({
+          error: 'Study session not found or already ended'
+        });
+      }
+    }
+
+    const wordProgress = await UserWordProgress.findOne({
+      _id: wordProgressId,
+      user_id: userId
+    });
+
+    if (!wordProgress) {
+      return res.status(404).json({
+        error: 'Word progress not found'
+      });
+    }
+
+    let wordData;
+    try {
+      wordData = await DictionaryService.getWordByIndex(wordProgress.dictionary_id, wordProgress.word_index);
+    } catch (error) {
+      wordData = null;
+    }
+    if (!wordData || wordData.name !== wordProgress.word) {
+      return res.status(409).json({
+        error: 'Dictionary entry has changed',
+        message: `Word at index ${wordProgress.word_index} is no longer "${wordProgress.word}"`
+      });
+    }
+
+    const dictionary = await DictionaryService.getDictionaryById(wordProgress.dictionary_id);
+    const grading = GradingService.grade(wordData, userAnswer, mode, GradingService.optionsFor(dictionary));
+    const isCorrect = grading.isCorrect;
+    const errorType = mode === 'spelling' ? 'spelling' : 'meaning';
+    const correctAnswer = mode === 'spelling' ? wordData.name : (wordData.trans ? wordData.trans[0] : '');
+
+    const wasDue = wordProgress.is_due_for_review;
+    const wasMastered = wordProgress.is_mastered;
+    await wordProgress.recordAttempt(isCorrect, responseTime, userDifficulty, req.user.learningPreferences.scheduler);
+
+    // Keep the wrong-words list in step with review results
+    let wrongWord = await WrongWords.findOne({
+      user_id: userId,
+      dictionary_id: wordProgress.dictionary_id,
+      word: wordProgress.word
+    });
+
+    const wrongWordAdded = !isCorrect && (!wrongWord || wrongWord.is_resolved);
+
+    if (wrongWord) {
+      if (!isCorrect) {
+        await wrongWord.addError(userAnswer, correctAnswer, errorType, 'spaced_repetition', grading.diagnosis);
+      }
+      await wrongWord.addReview(isCorrect, 'spaced_repetition', responseTime);
+    } else if (!isCorrect) {
+      wrongWord = new WrongWords({
+        user_id: userId,
+        dictionary_id: wordProgress.dictionary_id,
+        word: wordProgress.word,
+        word_data: wordData
+      });
+
+      await wrongWord.addError(userAnswer, correctAnswer, errorType, 'spaced_repetition', grading.diagnosis);
+    }
+
+    if (studySession) {
+      await studySession.recordAnswer({
+        dictionary_id: wordProgress.dictionary_id,
+        word: wordProgress.word,
+        source: 'review',
+        is_new: false,
+        is_correct: isCorrect,
+        response_time: responseTime,
+        became_mastered: !wasMastered && wordProgress.is_mastered,
+        wrong_word_added: wrongWordAdded
+      });
+    }
+
+    await ActivityService.recordAnswer(req.user, {
+      dictionaryId: wordProgress.dictionary_id,
+      word: wordProgress.word,
+      isCorrect,
+      wasMastered,
+      isMastered: wordProgress.is_mastered,
+      responseTime
+    });
+
+    res.json({
+      message: 'Review answer submitted successfully',
+      result: {
+        correct: isCorrect,
+        grading,
+        was_due: wasDue,
+        word_progress: {
+          id: wordProgress._id,
+          mastery_level: wordProgress.mastery_level,
+          is_mastered: wordProgress.is_mastered,
+          total_attempts: wordProgress.total_attempts,
+          accuracy_percentage: wordProgress.accuracy_percentage
+        },
+        schedule: formatSchedule(wordProgress)
+      }
+    });
+
+  } catch (error) {
+    console.error('Submit review answer error:', error);
+    res.status(500).json({
+      error: 'Failed to submit review answer',
+      message: error.message
+    });
+  }
+};
+
+// Get the user's spaced-repetition scheduler
+const getScheduler = async (req, res) => {
+  try {
+    res.json({
+      message: 'Scheduler retrieved successfully',
+      scheduler: req.user.learningPreferences.scheduler,
+      available: SCHEDULER_NAMES
+    });
+  } catch (error) {
+    console.error('Get scheduler error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve scheduler',
+      message: error.message
+    });
+  }
+};
+
+// Switch scheduler and migrate existing word state to it
+const updateScheduler = async (req, res) => {
+  try {
+    const { scheduler } = req.body;
+
+    if (!SCHEDULER_NAMES.includes(scheduler)) {
+      return res.status(400).json({
+        error: 'Invalid scheduler',
+        available: SCHEDULER_NAMES
+      });
+    }
+
+    if (scheduler === req.user.learningPreferences.scheduler) {
+      return res.json({
+        message: 'Scheduler unchanged',
+        scheduler,
+        migratedWords: 0
+      });
+    }
+
+    const migratedWords = await UserWordProgress.migrateScheduler(req.user._id, scheduler);
+    await User.updateOne({ _id: req.user._id }, { $set: { 'learningPreferences.scheduler': scheduler } });
+
+    res.json({
+      message: 'Scheduler updated successfully',
+      scheduler,
+      migratedWords
+    });
+  } catch (error) {
+    console.error('Update scheduler error:', error);
+    res.status(500).json({
+      error: 'Failed to update scheduler',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDueReviews,
+  submitReviewAnswer,
+  getScheduler,
+  updateScheduler
+};
@@ -0,0 +1,166 @@
+const StudySession = require('../models/StudySession');
+const DictionaryService = require('../services/DictionaryService');
+
+// Shape a study session for the client
+const formatSession = (session) => ({
+  id: session._id,
+  dictionary_id: session.dictionary_id,
+  started_at: session.started_at,
+  ended_at: session.ended_at,
+  last_activity_at: session.last_activity_at,
+  is_active: session.is_active,
+  summary: session.summary || session.buildSummary()
+});
+
+// Start a study session; any session left open is closed first
+const startStudySession = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { dictionaryId = null } = req.body;
+
+    if (dictionaryId) {
+      if (!String(dictionaryId).match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          error: 'Invalid dictionary ID format'
+        });
+      }
+
+      try {
+        await DictionaryService.getDictionaryById(dictionaryId);
+      } catch (error) {
+        return res.status(404).json({
+          error: 'Dictionary not found',
+          message: error.message
+        });
+      }
+    }
+
+    // A session abandoned without calling end finishes at its last answer
+    const openSessions = await StudySession.find({ user_id: userId, ended_at: null });
+    for (const openSession of openSessions) {
+      await openSession.end(openSession.last_activity_at);
+    }
+
+    const session = await StudySession.create({
+      user_id: userId,
+      dictionary_id: dictionaryId
+    });
+
+    res.status(201).json({
+      message: 'Study session started',
+      session: formatSession(session)
+    });
+
+  } catch (error) {
+    console.error('Start study session error:', error);
+    res.status(500).json({
+      error: 'Failed to start study session',
+      message: error.message
+    });
+  }
+};
+
+// End a study session and return its summary
+const endStudySession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid study session ID format'
+      });
+    }
+
+    const session = await StudySession.findOne({ _id: id, user_id: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Study session not found'
+      });
+    }
+
+    if (session.ended_at) {
+      return res.status(409).json({
+        error: 'Study session has already ended',
+        session: formatSession(session)
+      });
+    }
+
+    await session.end();
+
+    res.json({
+      message: 'Study session ended',
+      session: formatSession(session)
+    });
+
+  } catch (error) {
+    console.error('End study session error:', error);
+    res.status(500).json({
+      error: 'Failed to end study session',
+      message: error.message
+    });
+  }
+};
+
+// Get one study session with its (live) summary
+const getStudySession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid study session ID format'
+      });
+    }
+
+    const session = await StudySession.findOne({ _id: id, user_id: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Study session not found'
+      });
+    }
+
+    res.json({
+      message: 'Study session retrieved successfully',
+      session: formatSession(session)
+    });
+
+  } catch (error) {
+    console.error('Get study session error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve study session',
+      message: error.message
+    });
+  }
+};
+
+// List recent study sessions
+const getStudySessions = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const sessions = await StudySession.find({ user_id: req.user._id })
+      .sort({ started_at: -1 })
+      .limit(limit);
+
+    res.json({
+      message: 'Study sessions retrieved successfully',
+      sessions: sessions.map(formatSession)
+    });
+
+  } catch (error) {
+    console.error('Get study sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve study sessions',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  startStudySession,
+  endStudySession,
+  getStudySession,
+  getStudySessions
+};
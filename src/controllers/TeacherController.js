@@ -0,0 +1,137 @@
+const User = require('../models/User');
+const UserDictionary = require('../models/UserDictionary');
+const UserWordProgress = require('../models/UserWordProgress');
+const WrongWords = require('../models/WrongWords');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+/**
+ * Teacher Controller
+ * Read-only access to the progress of learners assigned to a teacher
+ */
+class TeacherController {
+  /**
+   * Whether the viewer may see a learner's progress: assigned teachers,
+   * or anyone who can read all users (admins)
+   */
+  static canViewStudent(viewer, student) {
+    if (hasPermission(viewer, PERMISSIONS.USERS_READ)) return true;
+    return student.teachers.some(teacherId => teacherId.toString() === viewer._id.toString());
+  }
+
+  /**
+   * List learners assigned to the current teacher
+   */
+  static async getStudents(req, res) {
+    try {
+      const students = await User.findStudentsOf(req.user._id)
+        .select('firstName lastName email lastLogin statistics')
+        .sort({ lastName: 1, firstName: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          students,
+          totalStudents: students.length
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching students:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch students'
+      });
+    }
+  }
+
+  /**
+   * Get dictionary and word-level progress for one learner
+   */
+  static async getStudentProgress(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid student ID format'
+        });
+      }
+
+      const student = await User.findById(id).select('firstName lastName email lastLogin statistics teachers');
+
+      // Same response for "missing" and "not yours" so IDs can't be probed
+      if (!student || !TeacherController.canViewStudent(req.user, student)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student not found'
+        });
+      }
+
+      const dictionaries = await UserDictionary.findByUser(student._id);
+
+      const wordStats = await UserWordProgress.aggregate([
+        { $match: { user_id: student._id } },
+        { $group: {
+          _id: '$dictionary_id',
+          words_attempted: { $sum: 1 },
+          mastered_words: { $sum: { $cond: ['$is_mastered', 1, 0] } },
+          average_mastery_level: { $avg: '$mastery_level' }
+        }}
+      ]);
+
+      const wrongWordStats = await WrongWords.aggregate([
+        { $match: { user_id: student._id, is_resolved: false } },
+        { $group: { _id: '$dictionary_id', unresolved_wrong_words: { $sum: 1 } } }
+      ]);
+
+      const wordStatsMap = new Map(wordStats.map(stat => [stat._id.toString(), stat]));
+      const wrongWordsMap = new Map(wrongWordStats.map(stat => [stat._id.toString(), stat.unresolved_wrong_words]));
+
+      res.json({
+        success: true,
+        data: {
+          student: {
+            id: student._id,
+            firstName: student.firstName,
+            lastName: student.lastName,
+            email: student.email,
+            lastLogin: student.lastLogin,
+            statistics: student.statistics
+          },
+          dictionaries: dictionaries
+            .filter(entry => entry.dictionary_id)
+            .map(entry => {
+              const dictionaryKey = entry.dictionary_id._id.toString();
+              const stats = wordStatsMap.get(dictionaryKey);
+              return {
+                dictionary: {
+                  id: entry.dictionary_id._id,
+                  name: entry.dictionary_id.name,
+                  display_name: entry.dictionary_id.display_name
+                },
+                status: entry.status,
+                current_position: entry.current_position,
+                completed_words: entry.completed_words,
+                total_words: entry.total_words,
+                completion_percentage: entry.completion_percentage,
+                accuracy_rate: entry.accuracy_rate,
+                last_accessed: entry.last_accessed,
+                words_attempted: stats ? stats.words_attempted : 0,
+                mastered_words: stats ? stats.mastered_words : 0,
+                average_mastery_level: stats ? Math.round(stats.average_mastery_level * 100) / 100 : 0,
+                unresolved_wrong_words: wrongWordsMap.get(dictionaryKey) || 0
+              };
+            })
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching student progress:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch student progress'
+      });
+    }
+  }
+}
+
+module.exports = TeacherController;
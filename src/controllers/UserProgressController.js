@@ -1,7 +1,15 @@
 const UserDictionary = require('../models/UserDictionary');
 const UserWordProgress = require('../models/UserWordProgress');
 const WrongWords = require('../models/WrongWords');
+const AnswerReceipt = require('../models/AnswerReceipt');
 const DictionaryService = require('../services/DictionaryService');
+const ReviewQueueService = require('../services/ReviewQueueService');
+const AnswerService = require('../services/AnswerService');
+const { AnswerError } = AnswerService;
+
+const MAX_SYNC_ANSWERS = 100;
+// A receipt still pending after this long belongs to a request that died
+const STALE_RECEIPT_MS = 5 * 60 * 1000;
 
 // Get user's progress across all dictionaries
 const getUserDictionaries = async (req, res) => {
@@ -230,11 +238,8 @@ const getCurrentWord = async (req, res) => {
   try {
     const userId = req.user._id;
     const { id: dictionaryId } = req.params;
-    
-    console.log('🔍 DEBUG: getCurrentWord called', { userId, dictionaryId });
-    
+
     if (!dictionaryId || !dictionaryId.match(/^[0-9a-fA-F]{24}$/)) {
-      console.log('❌ Invalid dictionary ID format:', dictionaryId);
       return res.status(400).json({
         error: 'Invalid dictionary ID format'
       });
@@ -244,9 +249,7 @@ const getCurrentWord = async (req, res) => {
     let dictionary;
     try {
       dictionary = await DictionaryService.getDictionaryById(dictionaryId);
-      console.log('✅ Dictionary found:', dictionary.display_name);
     } catch (error) {
-      console.log('❌ Dictionary not found:', error.message);
       return res.status(404).json({
         error: 'Dictionary not found',
         message: error.message
@@ -261,8 +264,6 @@ const getCurrentWord = async (req, res) => {
 
     // **CRITICAL FIX**: If no progress exists for fresh user, auto-initialize it
     if (!userDictionary) {
-      console.log('🔧 No UserDictionary found, auto-initializing for fresh user');
-      
       // Create new UserDictionary record for fresh user
       userDictionary = new UserDictionary({
         user_id: userId,
@@ -281,32 +282,46 @@ const getCurrentWord = async (req, res) => {
       
       // Populate the dictionary_id field
       userDictionary = await UserDictionary.findById(userDictionary._id).populate('dictionary_id');
-      
-      console.log('✅ Auto-initialized UserDictionary for fresh user:', userId, 'dictionary:', dictionaryId);
     }
 
-    if (userDictionary.status === 'completed') {
-      console.log('⚠️ Dictionary already completed');
-      return res.status(400).json({
-        error: 'Dictionary already completed',
-        message: 'All words in this dictionary have been completed'
-      });
-    }
-
-    // Get the current word with better error handling
-    const currentWordIndex = userDictionary.current_position;
-    console.log('🔍 Getting word at index:', currentWordIndex);
-    
     let word;
-    try {
-      word = await DictionaryService.getWordByIndex(dictionaryId, currentWordIndex);
-      console.log('✅ Word retrieved:', word.name);
-    } catch (error) {
-      console.log('❌ Failed to get word by index:', error.message);
-      return res.status(404).json({
-        error: 'Word not found',
-        message: `Word at index ${currentWordIndex} not found: ${error.message}`
-      });
+    let review = null;
+
+    // Review mode serves missed and due words without moving current_position
+    if (userDictionary.settings.review_mode) {
+      const queue = await ReviewQueueService.getQueue(userId, dictionaryId);
+      const next = await ReviewQueueService.nextWord(dictionaryId, queue);
+
+      if (!next) {
+        return res.json({
+          message: 'Review complete',
+          review_complete: true,
+          word: null,
+          review: { remaining: 0 }
+        });
+      }
+
+      word = next.word;
+      review = ReviewQueueService.formatEntry(next.entry, queue.length);
+    } else {
+      if (userDictionary.status === 'completed') {
+        return res.status(400).json({
+          error: 'Dictionary already completed',
+          message: 'All words in this dictionary have been completed'
+        });
+      }
+
+      // Get the current word with better error handling; the position maps through the learner's word order
+      const currentWordIndex = userDictionary.wordIndexAt(userDictionary.current_position);
+
+      try {
+        word = await DictionaryService.getWordByIndex(dictionaryId, currentWordIndex);
+      } catch (error) {
+        return res.status(404).json({
+          error: 'Word not found',
+          message: `Word at index ${currentWordIndex} not found: ${error.message}`
+        });
+      }
     }
     
     // Check if user has previous progress with this word
@@ -316,10 +331,10 @@ const getCurrentWord = async (req, res) => {
       word: word.name
     });
 
-    console.log('✅ getCurrentWord success for user:', userId);
     
     res.json({
       message: 'Current word retrieved successfully',
+      ...(review ? { review_complete: false, review } : {}),
       word: {
         ...word,
         progress: wordProgress ? {
@@ -382,133 +397,204 @@ const getCurrentWord = async (req, res) => {
 // Submit answer for a word
 const submitWordAnswer = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const { 
-      dictionaryId, 
-      word, 
-      wordIndex,
-      isCorrect, 
-      userAnswer, 
-      responseTime = 0,
-      userDifficulty = null 
-    } = req.body;
-
-    // Validation
-    if (!dictionaryId || !word || typeof isCorrect !== 'boolean') {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        required: ['dictionaryId', 'word', 'isCorrect']
-      });
-    }
+    const result = await AnswerService.submitAnswer(req.user, req.body);
 
-    if (!dictionaryId.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        error: 'Invalid dictionary ID format'
+    res.json({
+      message: 'Answer submitted successfully',
+      result
+    });
+
+  } catch (error) {
+    if (error instanceof AnswerError) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details
       });
     }
 
-    // Get user's dictionary progress
-    const userDictionary = await UserDictionary.findOne({
-      user_id: userId,
-      dictionary_id: dictionaryId
+    console.error('Submit word answer error:', error);
+    res.status(500).json({
+      error: 'Failed to submit answer',
+      message: error.message
     });
+  }
+};
 
-    if (!userDictionary) {
-      return res.status(404).json({
-        error: 'Dictionary progress not found',
-        message: 'Please start the dictionary first'
-      });
+// Take over a receipt whose request died before writing anything
+const reclaimStaleReceipt = async (existing, answeredAt) => {
+  if (existing.status !== 'pending' || Date.now() - existing.updatedAt < STALE_RECEIPT_MS) {
+    return null;
+  }
+
+  // Matching on updatedAt lets only one retry win the receipt
+  return AnswerReceipt.findOneAndUpdate(
+    { _id: existing._id, status: 'pending', updatedAt: existing.updatedAt },
+    { $set: { answered_at: answeredAt } },
+    { new: true }
+  );
+};
+
+// Apply one synced answer unless its idempotency key was seen before
+const applySyncedAnswer = async (user, { answer, index, key, answeredAt }) => {
+  const item = { index, idempotency_key: key };
+
+  let receipt;
+  try {
+    receipt = await AnswerReceipt.create({
+      user_id: user._id,
+      idempotency_key: key,
+      answered_at: answeredAt
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
     }
 
-    // Update user dictionary progress
-    await userDictionary.updateProgress(isCorrect, responseTime);
+    const existing = await AnswerReceipt.findOne({ user_id: user._id, idempotency_key: key });
+    receipt = existing && await reclaimStaleReceipt(existing, answeredAt);
 
-    // Create or update word progress
-    let wordProgress = await UserWordProgress.findOne({
-      user_id: userId,
-      dictionary_id: dictionaryId,
-      word: word
+    if (!receipt) {
+      if (existing && existing.status === 'applied') {
+        return { ...item, status: 'duplicate', result: existing.result };
+      }
+      // Some writes happened, so applying the answer again would count it twice
+      if (existing && existing.status === 'applying') {
+        return { ...item, status: 'duplicate', result: null, incomplete: true };
+      }
+      return { ...item, status: 'failed', error: 'Answer is still being applied; retry later' };
+    }
+  }
+
+  let writing = false;
+  try {
+    const result = await AnswerService.submitAnswer(user, answer, {
+      answeredAt,
+      beforeWrite: async () => {
+        receipt.status = 'applying';
+        await receipt.save();
+        writing = true;
+      }
     });
+    // The next word only matters to a live client
+    delete result.next_word;
+    delete result.review;
 
-    if (wordProgress) {
-      await wordProgress.recordAttempt(isCorrect, responseTime, userDifficulty);
-    } else {
-      wordProgress = new UserWordProgress({
-        user_id: userId,
-        dictionary_id: dictionaryId,
-        word: word,
-        word_index: wordIndex || userDictionary.current_position,
-        correct_attempts: isCorrect ? 1 : 0,
-        wrong_attempts: isCorrect ? 0 : 1,
-        difficulty_rating: userDifficulty || 3
+    receipt.status = 'applied';
+    receipt.result = result;
+    await receipt.save();
+
+    return { ...item, status: 'applied', result };
+  } catch (error) {
+    // Release the key so a corrected or retried answer can still be applied,
+    // unless part of it was written already
+    if (!writing) {
+      await AnswerReceipt.deleteOne({ _id: receipt._id });
+    }
+
+    if (error instanceof AnswerError) {
+      return { ...item, status: 'rejected', error: error.message, ...error.details };
+    }
+
+    console.error('Sync word answer error:', error);
+    return { ...item, status: 'failed', error: error.message, ...(writing ? { incomplete: true } : {}) };
+  }
+};
+
+// Sync answers recorded offline; each carries a client-generated idempotency key
+const syncWordAnswers = async (req, res) => {
+  try {
+    const { answers } = req.body;
+
+    if (!Array.isArray(answers) || answers.length === 0) {
+      return res.status(400).json({
+        error: 'answers must be a non-empty array'
       });
-      
-      await wordProgress.recordAttempt(isCorrect, responseTime, userDifficulty);
     }
 
-    // If answer is wrong, add to wrong words collection
-    if (!isCorrect) {
-      const wordData = await DictionaryService.getWordByIndex(dictionaryId, wordIndex || userDictionary.current_position);
-      
-      let wrongWord = await WrongWords.findOne({
-        user_id: userId,
-        dictionary_id: dictionaryId,
-        word: word
+    if (answers.length > MAX_SYNC_ANSWERS) {
+      return res.status(400).json({
+        error: `At most ${MAX_SYNC_ANSWERS} answers can be synced at once`
       });
+    }
 
-      if (wrongWord) {
-        await wrongWord.addError(userAnswer, wordData.trans ? wordData.trans[0] : '', 'meaning');
-      } else {
-        wrongWord = new WrongWords({
-          user_id: userId,
-          dictionary_id: dictionaryId,
-          word: word,
-          word_data: wordData
-        });
-        
-        await wrongWord.addError(userAnswer, wordData.trans ? wordData.trans[0] : '', 'meaning');
+    const now = new Date();
+    const results = new Array(answers.length);
+    const pending = [];
+    const batchKeys = new Set();
+
+    answers.forEach((answer, index) => {
+      const key = answer && typeof answer.idempotencyKey === 'string' ? answer.idempotencyKey.trim() : '';
+      if (!key || key.length > 200) {
+        results[index] = { index, idempotency_key: key || null, status: 'rejected', error: 'idempotencyKey must be a string of 1-200 characters' };
+        return;
       }
-    }
 
-    // Advance to next word
-    await userDictionary.advancePosition();
+      if (batchKeys.has(key)) {
+        results[index] = { index, idempotency_key: key, status: 'duplicate', result: null };
+        return;
+      }
+      batchKeys.add(key);
 
-    // Get next word (if available)
-    let nextWord = null;
-    if (userDictionary.current_position < userDictionary.total_words) {
-      try {
-        nextWord = await DictionaryService.getWordByIndex(dictionaryId, userDictionary.current_position);
-      } catch (error) {
-        // End of dictionary reached
-        nextWord = null;
+      // Answers without a timestamp count as answered now; clocks ahead of the server are capped
+      const answeredAt = answer.answeredAt ? new Date(answer.answeredAt) : now;
+      if (isNaN(answeredAt.getTime())) {
+        results[index] = { index, idempotency_key: key, status: 'rejected', error: 'Invalid answeredAt timestamp' };
+        return;
       }
+
+      pending.push({ answer, index, key, answeredAt: answeredAt > now ? now : answeredAt });
+    });
+
+    // Apply in the order the answers were given; results keep the request order
+    pending.sort((a, b) => a.answeredAt - b.answeredAt || a.index - b.index);
+    for (const item of pending) {
+      results[item.index] = await applySyncedAnswer(req.user, item);
     }
 
+    const count = (status) => results.filter(result => result.status === status).length;
+
     res.json({
-      message: 'Answer submitted successfully',
-      result: {
-        correct: isCorrect,
-        word_progress: {
-          mastery_level: wordProgress.mastery_level,
-          is_mastered: wordProgress.is_mastered,
-          total_attempts: wordProgress.total_attempts,
-          accuracy_percentage: wordProgress.accuracy_percentage
-        },
-        dictionary_progress: {
-          current_position: userDictionary.current_position,
-          completed_words: userDictionary.completed_words,
-          completion_percentage: userDictionary.completion_percentage,
-          accuracy_rate: userDictionary.accuracy_rate,
-          status: userDictionary.status
-        },
-        next_word: nextWord
-      }
+      message: 'Answers synced',
+      summary: {
+        total: results.length,
+        applied: count('applied'),
+        duplicate: count('duplicate'),
+        rejected: count('rejected'),
+        failed: count('failed')
+      },
+      results
     });
 
   } catch (error) {
-    console.error('Submit word answer error:', error);
+    console.error('Sync word answers error:', error);
     res.status(500).json({
-      error: 'Failed to submit answer',
+      error: 'Failed to sync answers',
+      message: error.message
+    });
+  }
+};
+
+// Undo the most recent answer in a dictionary
+const undoLastAnswer = async (req, res) => {
+  try {
+    const undone = await AnswerService.undoLastAnswer(req.user, req.params.id);
+
+    res.json({
+      message: 'Answer undone successfully',
+      undone
+    });
+
+  } catch (error) {
+    if (error instanceof AnswerError) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Undo answer error:', error);
+    res.status(500).json({
+      error: 'Failed to undo answer',
       message: error.message
     });
   }
@@ -682,13 +768,22 @@ const updateProgress = async (req, res) => {
         });
       }
       
+      if (currentPosition !== userDictionary.current_position) {
+        await AnswerService.discardUndo(userId, dictionaryId);
+      }
       userDictionary.current_position = currentPosition;
       userDictionary.completed_words = Math.max(userDictionary.completed_words, currentPosition);
     }
 
-    // Update settings if provided
+    // Update settings if provided; the shuffle seed is kept server-side so the order stays stable
     if (settings) {
-      userDictionary.settings = { ...userDictionary.settings, ...settings };
+      const wasShuffled = userDictionary.settings.shuffle_words;
+      const seed = userDictionary.settings.shuffle_seed;
+      userDictionary.settings = { ...userDictionary.settings, ...settings, shuffle_seed: seed };
+
+      if (userDictionary.settings.shuffle_words !== wasShuffled) {
+        userDictionary.applyWordOrder();
+      }
     }
 
     userDictionary.last_accessed = new Date();
@@ -718,6 +813,8 @@ module.exports = {
   startDictionary,
   getCurrentWord,
   submitWordAnswer,
+  syncWordAnswers,
+  undoLastAnswer,
   getDictionaryProgress,
   updateProgress
 }; 
\ No newline at end of file
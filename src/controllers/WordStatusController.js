@@ -0,0 +1,169 @@
+const UserDictionary = require('../models/UserDictionary');
+const UserWordProgress = require('../models/UserWordProgress');
+const WrongWords = require('../models/WrongWords');
+const DictionaryService = require('../services/DictionaryService');
+const ActivityService = require('../services/ActivityService');
+const AnswerService = require('../services/AnswerService');
+
+const MAX_BURY_DAYS = 365;
+
+// Look up the dictionary word a status change targets and the learner's progress on it.
+// Resolves to { status, error } when the request can't be served.
+const loadTarget = async (userId, dictionaryId, wordIndexParam) => {
+  if (!dictionaryId || !dictionaryId.match(/^[0-9a-fA-F]{24}$/)) {
+    return { status: 400, error: 'Invalid dictionary ID format' };
+  }
+
+  const wordIndex = Number(wordIndexParam);
+  if (!Number.isInteger(wordIndex) || wordIndex < 0) {
+    return { status: 400, error: 'Word index must be a non-negative integer' };
+  }
+
+  const userDictionary = await UserDictionary.findOne({
+    user_id: userId,
+    dictionary_id: dictionaryId
+  });
+
+  if (!userDictionary) {
+    return { status: 404, error: 'Dictionary progress not found', message: 'Please start the dictionary first' };
+  }
+
+  let word;
+  try {
+    word = await DictionaryService.getWordByIndex(dictionaryId, wordIndex);
+  } catch (error) {
+    return { status: 404, error: 'Word not found', message: error.message };
+  }
+
+  // Words never answered get a progress record so the status sticks
+  const wordProgress = await UserWordProgress.findOne({
+    user_id: userId,
+    dictionary_id: dictionaryId,
+    word: word.name
+  }) || new UserWordProgress({
+    user_id: userId,
+    dictionary_id: dictionaryId,
+    word: word.name,
+    word_index: wordIndex
+  });
+
+  return { userDictionary, word, wordProgress };
+};
+
+// Move past the word if it is the one being studied, then describe the result.
+// Marked words further ahead are passed over once the position reaches them.
+const finishStatusChange = async (req, res, { userDictionary, word, wordProgress }, message) => {
+  const isCurrentWord = !userDictionary.settings.review_mode &&
+    userDictionary.status !== 'completed' &&
+    userDictionary.wordIndexAt(userDictionary.current_position) === word.index;
+
+  if (isCurrentWord) {
+    await userDictionary.advancePosition(await UserWordProgress.findMarkedIndexes(req.user._id, userDictionary.dictionary_id));
+    await AnswerService.discardUndo(req.user._id, userDictionary.dictionary_id);
+  }
+
+  res.json({
+    message,
+    word: {
+      name: word.name,
+      index: word.index
+    },
+    skipped: isCurrentWord,
+    word_progress: {
+      mastery_level: wordProgress.mastery_level,
+      is_mastered: wordProgress.is_mastered,
+      manual_status: wordProgress.manual_status,
+      buried_until: wordProgress.buried_until,
+      next_review: wordProgress.next_review,
+      learning_status: wordProgress.learning_status
+    },
+    dictionary_progress: {
+      current_position: userDictionary.current_position,
+      completed_words: userDictionary.completed_words,
+      completion_percentage: userDictionary.completion_percentage,
+      status: userDictionary.status
+    }
+  });
+};
+
+// Mark a word known or mastered; it leaves the wrong-words list and review queues
+const markWord = (manualStatus) => async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const target = await loadTarget(userId, req.params.id, req.params.wordIndex);
+    if (target.error) {
+      return res.status(target.status).json({
+        error: target.error,
+        ...(target.message ? { message: target.message } : {})
+      });
+    }
+
+    const wasMastered = target.wordProgress.is_mastered;
+    await target.wordProgress.markAsMastered(manualStatus);
+
+    await WrongWords.updateOne(
+      { user_id: userId, dictionary_id: req.params.id, word: target.word.name, is_resolved: false },
+      { $set: { is_resolved: true, resolved_date: new Date() } }
+    );
+
+    if (!wasMastered) {
+      await ActivityService.refreshWordsLearned(userId);
+    }
+
+    await finishStatusChange(req, res, target, manualStatus === 'known'
+      ? 'Word marked as known'
+      : 'Word marked as mastered');
+
+  } catch (error) {
+    console.error(`Mark word ${manualStatus} error:`, error);
+    res.status(500).json({
+      error: `Failed to mark word as ${manualStatus}`,
+      message: error.message
+    });
+  }
+};
+
+// Skip a word the learner already knows without answering it
+const markWordKnown = markWord('known');
+
+// Mark a word mastered by hand
+const markWordMastered = markWord('mastered');
+
+// Hide a word from review queues for a number of days
+const buryWord = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const days = Number(req.body.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_BURY_DAYS) {
+      return res.status(400).json({
+        error: `days must be an integer between 1 and ${MAX_BURY_DAYS}`
+      });
+    }
+
+    const target = await loadTarget(userId, req.params.id, req.params.wordIndex);
+    if (target.error) {
+      return res.status(target.status).json({
+        error: target.error,
+        ...(target.message ? { message: target.message } : {})
+      });
+    }
+
+    await target.wordProgress.bury(days);
+
+    await finishStatusChange(req, res, target, `Word buried for ${days} day${days === 1 ? '' : 's'}`);
+
+  } catch (error) {
+    console.error('Bury word error:', error);
+    res.status(500).json({
+      error: 'Failed to bury word',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  markWordKnown,
+  markWordMastered,
+  buryWord
+};
@@ -1,6 +1,7 @@
 const WrongWords = require('../models/WrongWords');
 const UserWordProgress = require('../models/UserWordProgress');
 const DictionaryService = require('../services/DictionaryService');
+const ActivityService = require('../services/ActivityService');
 
 // Get user's wrong words across all dictionaries or specific dictionary
 const getWrongWords = async (req, res) => {
@@ -279,6 +280,8 @@ const reviewWrongWord = async (req, res) => {
     await wrongWord.addReview(wasSuccessful, reviewMethod, responseTime, confidenceLevel);
 
     // If successful, also update the word progress
+    let wasMastered = false;
+    let isMastered = false;
     if (wasSuccessful) {
       const wordProgress = await UserWordProgress.findOne({
         user_id: userId,
@@ -287,10 +290,21 @@ const reviewWrongWord = async (req, res) => {
       });
 
       if (wordProgress) {
-        await wordProgress.recordAttempt(true, responseTime);
+        wasMastered = wordProgress.is_mastered;
+        await wordProgress.recordAttempt(true, responseTime, null, req.user.learningPreferences.scheduler);
+        isMastered = wordProgress.is_mastered;
       }
     }
 
+    await ActivityService.recordAnswer(req.user, {
+      dictionaryId: wrongWord.dictionary_id._id,
+      word: wrongWord.word,
+      isCorrect: wasSuccessful,
+      wasMastered,
+      isMastered,
+      responseTime
+    });
+
     res.json({
       message: 'Review attempt recorded successfully',
       wrong_word: {
@@ -0,0 +1,144 @@
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { TOKEN_SCOPES } = PersonalAccessToken;
+
+const MAX_ACTIVE_TOKENS = 20;
+const MAX_EXPIRY_DAYS = 365;
+
+// Shape a token record for responses (never includes the hash)
+const formatToken = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  prefix: accessToken.token_prefix,
+  scopes: accessToken.scopes,
+  createdAt: accessToken.createdAt,
+  expiresAt: accessToken.expires_at,
+  lastUsedAt: accessToken.last_used_at,
+  isActive: accessToken.is_active
+});
+
+// List the user's personal access tokens
+const getAccessTokens = async (req, res) => {
+  try {
+    const accessTokens = await PersonalAccessToken.findByUser(req.user._id);
+
+    res.json({
+      message: 'Access tokens retrieved successfully',
+      availableScopes: TOKEN_SCOPES,
+      tokens: accessTokens.map(formatToken)
+    });
+
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve access tokens',
+      message: error.message
+    });
+  }
+};
+
+// Create a named, scoped personal access token
+const createAccessToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = null } = req.body;
+
+    // Validation
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        error: 'Token name is required'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        error: 'At least one scope is required',
+        availableScopes: TOKEN_SCOPES
+      });
+    }
+
+    const unknownScopes = scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({
+        error: `Unknown scopes: ${unknownScopes.join(', ')}`,
+        availableScopes: TOKEN_SCOPES
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== null) {
+      const days = parseInt(expiresInDays);
+      if (!days || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({
+          error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeCount = await PersonalAccessToken.countDocuments({ user_id: req.user._id, revoked_at: null });
+    if (activeCount >= MAX_ACTIVE_TOKENS) {
+      return res.status(400).json({
+        error: `You can have at most ${MAX_ACTIVE_TOKENS} access tokens. Revoke one first.`
+      });
+    }
+
+    const { token, record } = await PersonalAccessToken.issue(req.user._id, name.trim(), scopes, expiresAt);
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now; it will not be shown again.',
+      token,
+      accessToken: formatToken(record)
+    });
+
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({
+      error: 'Failed to create access token',
+      message: error.message
+    });
+  }
+};
+
+// Revoke a personal access token
+const revokeAccessToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid token ID format'
+      });
+    }
+
+    const accessToken = await PersonalAccessToken.findOne({
+      _id: id,
+      user_id: req.user._id,
+      revoked_at: null
+    });
+
+    if (!accessToken) {
+      return res.status(404).json({
+        error: 'Access token not found'
+      });
+    }
+
+    await accessToken.revoke();
+
+    res.json({
+      message: 'Access token revoked successfully',
+      tokenId: accessToken._id
+    });
+
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke access token',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken
+};
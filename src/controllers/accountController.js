@@ -0,0 +1,154 @@
+const User = require('../models/User');
+const AccountDataService = require('../services/AccountDataService');
+
+// Download all of the user's data as a ZIP archive
+const exportAccountData = async (req, res) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="vocabin-export-${date}.zip"`
+    });
+
+    await AccountDataService.streamExport(req.user._id, res);
+
+  } catch (error) {
+    console.error('Export account data error:', error);
+
+    // Once streaming has started the status can't change; just end the response
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      error: 'Failed to export account data',
+      message: error.message
+    });
+  }
+};
+
+// Get pending deletion status
+const getDeletionStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      message: 'Deletion status retrieved successfully',
+      deletion: {
+        pending: !!user.deletionScheduledFor,
+        requestedAt: user.deletionRequestedAt,
+        scheduledFor: user.deletionScheduledFor,
+        gracePeriodDays: AccountDataService.gracePeriodDays
+      }
+    });
+
+  } catch (error) {
+    console.error('Get deletion status error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve deletion status',
+      message: error.message
+    });
+  }
+};
+
+// Schedule the account for deletion after the grace period
+const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        error: 'Password is required to delete your account'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        error: 'Password is incorrect'
+      });
+    }
+
+    if (user.deletionScheduledFor) {
+      return res.status(409).json({
+        error: 'Account deletion is already scheduled',
+        scheduledFor: user.deletionScheduledFor
+      });
+    }
+
+    const scheduledFor = await AccountDataService.requestDeletion(user);
+
+    res.json({
+      message: `Your account will be deleted on ${scheduledFor.toISOString()} and has been signed out everywhere. Log in and cancel before then to keep it.`,
+      deletion: {
+        pending: true,
+        requestedAt: user.deletionRequestedAt,
+        scheduledFor
+      }
+    });
+
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to schedule account deletion',
+      message: error.message
+    });
+  }
+};
+
+// Cancel a pending deletion during the grace period
+const cancelAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({
+        error: 'No account deletion is pending'
+      });
+    }
+
+    await AccountDataService.cancelDeletion(user);
+
+    res.json({
+      message: 'Account deletion cancelled',
+      deletion: {
+        pending: false
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel account deletion',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  exportAccountData,
+  getDeletionStatus,
+  requestAccountDeletion,
+  cancelAccountDeletion
+};
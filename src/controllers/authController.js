@@ -1,11 +1,61 @@
 const bcrypt = require('bcryptjs');
-const { generateTokenResponse, verifyToken } = require('../utils/jwt');
 const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
+const Dictionary = require('../models/Dictionary');
+const UserDictionary = require('../models/UserDictionary');
+const MailService = require('../services/MailService');
+const TokenService = require('../services/TokenService');
+const LoginProtectionService = require('../services/LoginProtectionService');
+const ProfileImageService = require('../services/ProfileImageService');
+const { RefreshTokenError } = TokenService;
+const { generatePreAuthToken } = require('../utils/jwt');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+// Issue a fresh verification token and email it, invalidating older links
+const sendVerificationEmail = async (user, requestedIp = null) => {
+  await UserToken.invalidateForUser(user._id, 'email_verification');
+
+  const { token } = await UserToken.issue(
+    user._id,
+    'email_verification',
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+    requestedIp
+  );
+
+  await MailService.sendEmailVerification(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+
+  user.verificationEmailSentAt = new Date();
+  await user.save({ validateBeforeSave: false });
+};
+
+// Add an invitation's pre-assigned dictionary to a new user's list
+const assignInvitationDictionary = async (user, invitation) => {
+  const dictionary = await Dictionary.findOne({ _id: invitation.dictionary_id, is_active: true });
+  if (!dictionary) return;
+
+  await UserDictionary.updateOne(
+    { user_id: user._id, dictionary_id: dictionary._id },
+    {
+      $setOnInsert: {
+        user_id: user._id,
+        dictionary_id: dictionary._id,
+        total_words: dictionary.total_words,
+        status: 'not_started'
+      }
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+};
 
 // Register new user
 const register = async (req, res) => {
   try {
-    const { email, password, firstName, lastName, role = 'learner' } = req.body;
+    const { email, password, firstName, lastName, invitationCode } = req.body;
 
     // Validation
     if (!email || !password || !firstName || !lastName) {
@@ -21,6 +71,12 @@ const register = async (req, res) => {
       });
     }
 
+    if (process.env.REQUIRE_INVITATION_CODE === 'true' && !invitationCode) {
+      return res.status(400).json({
+        error: 'An invitation code is required to register'
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findByEmail(email);
     if (existingUser) {
@@ -29,23 +85,58 @@ const register = async (req, res) => {
       });
     }
 
+    // Claim a use of the invitation before creating the account
+    let invitation = null;
+    if (invitationCode) {
+      invitation = await Invitation.claim(invitationCode);
+      if (!invitation) {
+        return res.status(400).json({
+          error: 'Invalid, expired or fully used invitation code'
+        });
+      }
+    }
+
     // Create new user
     const newUser = new User({
       email: email.toLowerCase(),
       password,
       firstName: firstName.trim(),
       lastName: lastName.trim(),
-      role: role,
+      role: (invitation && invitation.role) || 'learner', // Other roles come from an invitation or an admin
       isActive: true
     });
 
-    await newUser.save();
+    try {
+      await newUser.save();
+    } catch (saveError) {
+      if (invitation) await invitation.release();
+      throw saveError;
+    }
+
+    if (invitation) {
+      await invitation.recordUse(newUser._id);
+
+      if (invitation.dictionary_id) {
+        try {
+          await assignInvitationDictionary(newUser, invitation);
+        } catch (assignError) {
+          console.error('Invitation dictionary assignment error:', assignError);
+        }
+      }
+    }
 
     // Update last login
     await newUser.updateLastLogin();
 
+    // A mail failure shouldn't fail registration; the user can ask for a resend
+    try {
+      await sendVerificationEmail(newUser, req.ip);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
     // Generate token response
-    const tokenResponse = generateTokenResponse(newUser);
+    const tokenResponse = await TokenService.startSession(newUser, req);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -73,15 +164,36 @@ const login = async (req, res) => {
       });
     }
 
+    // Refuse early if this client is temporarily blocked
+    const ipRetryAfter = await LoginProtectionService.checkIp(req.ip);
+    if (ipRetryAfter > 0) {
+      res.set('Retry-After', String(ipRetryAfter));
+      return res.status(429).json({
+        error: 'Too many failed login attempts. Please try again later.',
+        retryAfter: ipRetryAfter
+      });
+    }
+
     // Find user and include password for comparison
     const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
     
     if (!user) {
+      await LoginProtectionService.recordFailure(req.ip);
       return res.status(401).json({
         error: 'Invalid email or password'
       });
     }
 
+    // Don't check the password at all while the account is locked
+    const accountRetryAfter = LoginProtectionService.checkAccount(user);
+    if (accountRetryAfter > 0) {
+      res.set('Retry-After', String(accountRetryAfter));
+      return res.status(429).json({
+        error: 'Account temporarily locked due to too many failed login attempts',
+        retryAfter: accountRetryAfter
+      });
+    }
+
     if (!user.isActive) {
       return res.status(401).json({
         error: 'Account is deactivated. Please contact support.'
@@ -91,20 +203,35 @@ const login = async (req, res) => {
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await LoginProtectionService.recordFailure(req.ip, user);
       return res.status(401).json({
         error: 'Invalid email or password'
       });
     }
 
+    // Accounts with two-factor enabled finish logging in at /auth/2fa/verify.
+    // The failure count is kept until the code is accepted, since codes share the lockout.
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        preAuthToken: generatePreAuthToken(user),
+        expiresIn: '5m'
+      });
+    }
+
+    await LoginProtectionService.recordSuccess(user);
+
     // Update last login
     await user.updateLastLogin();
 
     // Generate token response
-    const tokenResponse = generateTokenResponse(user);
+    const tokenResponse = await TokenService.startSession(user, req);
 
     res.json({
       message: 'Login successful',
-      ...tokenResponse
+      ...tokenResponse,
+      twoFactorSetupRequired: process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'admin'
     });
 
   } catch (error) {
@@ -119,13 +246,22 @@ const login = async (req, res) => {
 // Logout user
 const logout = async (req, res) => {
   try {
-    // In a more sophisticated implementation, you might:
-    // 1. Add the token to a blacklist
-    // 2. Store refresh tokens in database and invalidate them
-    // 3. Clear any server-side sessions
-    
+    const { refreshToken } = req.body;
+
+    // Revoke the refresh token family for this device, if the client sent it
+    let revokedTokens = 0;
+    if (refreshToken) {
+      revokedTokens = await TokenService.revokeRefreshToken(refreshToken, req.user._id);
+    }
+
+    // End the session the access token belongs to
+    if (req.sessionId) {
+      await TokenService.revokeSession(req.sessionId, req.user._id);
+    }
+
     res.json({
       message: 'Logout successful',
+      revokedTokens,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -137,6 +273,84 @@ const logout = async (req, res) => {
   }
 };
 
+// Logout user from every device
+const logoutAll = async (req, res) => {
+  try {
+    const revokedTokens = await TokenService.revokeAllForUser(req.user._id);
+
+    res.json({
+      message: 'Logged out from all devices',
+      revokedTokens,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: error.message
+    });
+  }
+};
+
+// List the user's signed-in devices
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user._id);
+
+    res.json({
+      message: 'Sessions retrieved successfully',
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.user_agent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.last_seen_at,
+        expiresAt: session.expires_at,
+        current: req.sessionId ? session._id.toString() === req.sessionId.toString() : false
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve sessions',
+      message: error.message
+    });
+  }
+};
+
+// Sign out a single device
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        error: 'Invalid session ID format'
+      });
+    }
+
+    const revoked = await TokenService.revokeSession(id, req.user._id);
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      message: 'Session revoked successfully',
+      sessionId: id
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: error.message
+    });
+  }
+};
+
 // Get current user profile
 const getProfile = async (req, res) => {
   try {
@@ -151,7 +365,12 @@ const getProfile = async (req, res) => {
 
     res.json({
       message: 'Profile retrieved successfully',
-      user: user.toPublicJSON()
+      user: user.toPublicJSON(),
+      profileImageUrls: ProfileImageService.getUrls(user.profileImage),
+      // Lets the frontend show a banner while support is viewing as this user
+      impersonatedBy: req.impersonator
+        ? { id: req.impersonator._id, email: req.impersonator.email }
+        : null
     });
 
   } catch (error) {
@@ -172,7 +391,14 @@ const updateProfile = async (req, res) => {
     const updateData = {};
     if (firstName) updateData.firstName = firstName.trim();
     if (lastName) updateData.lastName = lastName.trim();
-    if (learningPreferences) updateData.learningPreferences = learningPreferences;
+    if (learningPreferences) {
+      // The scheduler is changed through /api/user/scheduler, which migrates word state
+      updateData.learningPreferences = {
+        ...learningPreferences,
+        timezone: learningPreferences.timezone || req.user.learningPreferences.timezone,
+        scheduler: req.user.learningPreferences.scheduler
+      };
+    }
     if (phone !== undefined) updateData.phone = phone.trim();
     if (dateOfBirth !== undefined) updateData.dateOfBirth = dateOfBirth;
     if (gender !== undefined) updateData.gender = gender;
@@ -204,6 +430,56 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// Upload and process profile image
+const uploadProfileImage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No image uploaded'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    let imageKey;
+    try {
+      imageKey = await ProfileImageService.processAvatar(user._id, req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid image',
+        message: error.message
+      });
+    }
+
+    const previousImage = user.profileImage;
+    user.profileImage = imageKey;
+    await user.save({ validateBeforeSave: false });
+
+    // Only remove the old files once the new image is saved
+    if (previousImage && previousImage !== imageKey) {
+      await ProfileImageService.deleteAvatar(previousImage);
+    }
+
+    res.json({
+      message: 'Profile image updated successfully',
+      user: user.toPublicJSON(),
+      profileImageUrls: ProfileImageService.getUrls(imageKey)
+    });
+
+  } catch (error) {
+    console.error('Upload profile image error:', error);
+    res.status(500).json({
+      error: 'Failed to upload profile image',
+      message: error.message
+    });
+  }
+};
+
 // Change password
 const changePassword = async (req, res) => {
   try {
@@ -257,6 +533,199 @@ const changePassword = async (req, res) => {
   }
 };
 
+// Verify email address using a verification token
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'Verification token is required'
+      });
+    }
+
+    const verificationToken = await UserToken.findValid(token, 'email_verification');
+    if (!verificationToken) {
+      return res.status(400).json({
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    const user = await User.findById(verificationToken.user_id);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    await verificationToken.markUsed();
+
+    if (!user.emailVerified) {
+      await user.markEmailVerified();
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Failed to verify email',
+      message: error.message
+    });
+  }
+};
+
+// Resend the verification email
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        error: 'Email is already verified'
+      });
+    }
+
+    // Throttle resends per account
+    if (user.verificationEmailSentAt) {
+      const elapsedSeconds = (Date.now() - user.verificationEmailSentAt.getTime()) / 1000;
+      if (elapsedSeconds < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+        const retryAfter = Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Verification email was sent recently',
+          retryAfter
+        });
+      }
+    }
+
+    await sendVerificationEmail(user, req.ip);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({
+      error: 'Failed to resend verification email',
+      message: error.message
+    });
+  }
+};
+
+// Request a password reset email
+const requestPasswordReset = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Email is required'
+      });
+    }
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const genericResponse = {
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await User.findByEmail(email);
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    // Only the most recent link stays valid
+    await UserToken.invalidateForUser(user._id, 'password_reset');
+
+    const { token } = await UserToken.issue(
+      user._id,
+      'password_reset',
+      PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+      req.ip
+    );
+
+    await MailService.sendPasswordReset(user, token, PASSWORD_RESET_TTL_MINUTES);
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Request password reset error:', error);
+    res.status(500).json({
+      error: 'Failed to request password reset',
+      message: error.message
+    });
+  }
+};
+
+// Set a new password using a reset token
+const confirmPasswordReset = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    // Validation
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        error: 'Token and new password are required'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        error: 'New password must be at least 6 characters long'
+      });
+    }
+
+    const resetToken = await UserToken.findValid(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    const user = await User.findById(resetToken.user_id).select('+password');
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    // Consume the token before changing anything so it can't be replayed
+    const consumed = await resetToken.markUsed();
+    if (!consumed) {
+      return res.status(400).json({
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign the user out everywhere; whoever knew the old password loses access
+    await TokenService.revokeAllForUser(user._id);
+
+    res.json({
+      message: 'Password has been reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Confirm password reset error:', error);
+    res.status(500).json({
+      error: 'Failed to reset password',
+      message: error.message
+    });
+  }
+};
+
 // Refresh token
 const refreshToken = async (req, res) => {
   try {
@@ -268,21 +737,18 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Verify refresh token
+    // Verify refresh token against the token store
     let decoded;
+    let stored;
     try {
-      decoded = verifyToken(refreshToken);
+      ({ decoded, stored } = await TokenService.consumeRefreshToken(refreshToken));
     } catch (error) {
-      return res.status(401).json({
-        error: 'Invalid or expired refresh token'
-      });
-    }
-
-    // Check if it's actually a refresh token
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({
-        error: 'Invalid token type'
-      });
+      if (error instanceof RefreshTokenError) {
+        return res.status(error.status).json({
+          error: error.message
+        });
+      }
+      throw error;
     }
 
     // Find user
@@ -299,8 +765,18 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Generate new token response
-    const tokenResponse = generateTokenResponse(user);
+    // Rotate: the presented token is retired and a new one issued in the same family
+    let tokenResponse;
+    try {
+      tokenResponse = await TokenService.rotateRefreshToken(stored, user, req);
+    } catch (error) {
+      if (error instanceof RefreshTokenError) {
+        return res.status(error.status).json({
+          error: error.message
+        });
+      }
+      throw error;
+    }
 
     res.json({
       message: 'Token refreshed successfully',
@@ -320,8 +796,16 @@ module.exports = {
   register,
   login,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
   getProfile,
   updateProfile,
+  uploadProfileImage,
   changePassword,
+  verifyEmail,
+  resendVerificationEmail,
+  requestPasswordReset,
+  confirmPasswordReset,
   refreshToken
 }; 
\ No newline at end of file
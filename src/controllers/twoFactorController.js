@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const TokenService = require('../services/TokenService');
+const LoginProtectionService = require('../services/LoginProtectionService');
+const { verifyToken } = require('../utils/jwt');
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Hash a recovery code for storage and lookup
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Generate a fresh set of recovery codes; plain codes are shown to the user once
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Check a TOTP code and remember its time step so it can't be replayed. The
+// step is claimed with a conditional update so two requests can't both use it.
+// Resolves to the updated two-factor settings, or null for an invalid code.
+const consumeTotpCode = async (user, code) => {
+  const step = verifyCode(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep });
+  if (step === null) return null;
+
+  const updated = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      'twoFactor.secret': user.twoFactor.secret,
+      $or: [
+        { 'twoFactor.lastUsedStep': null },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } },
+    { new: true }
+  ).select('+twoFactor.recoveryCodes');
+  return updated ? updated.twoFactor : null;
+};
+
+// Check a recovery code and remove it from the unused set in one update.
+// Resolves to the updated two-factor settings, or null for an invalid code.
+const consumeRecoveryCode = async (user, recoveryCode) => {
+  const hash = hashRecoveryCode(recoveryCode);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } },
+    { new: true }
+  ).select('+twoFactor.recoveryCodes');
+  return updated ? updated.twoFactor : null;
+};
+
+// Get two-factor status for the current user
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      message: 'Two-factor status retrieved successfully',
+      twoFactor: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+        required: process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'admin'
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve two-factor status',
+      message: error.message
+    });
+  }
+};
+
+// Start enrollment: create a pending secret for the authenticator app
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: buildOtpAuthUrl(secret, user.email)
+    });
+
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({
+      error: 'Failed to set up two-factor authentication',
+      message: error.message
+    });
+  }
+};
+
+// Finish enrollment by confirming a code from the pending secret
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Verification code is required'
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      error: 'Failed to enable two-factor authentication',
+      message: error.message
+    });
+  }
+};
+
+// Turn two-factor off (requires password and a current code)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        error: 'Password and verification code are required'
+      });
+    }
+
+    if (process.env.REQUIRE_ADMIN_2FA === 'true' && req.user.role === 'admin') {
+      return res.status(403).json({
+        error: 'Two-factor authentication is mandatory for admin accounts'
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(req.user._id).select('+password');
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !(await consumeTotpCode(user, code))) {
+      return res.status(401).json({
+        error: 'Invalid password or verification code'
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = null;
+    user.twoFactor.secret = null;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = null;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication',
+      message: error.message
+    });
+  }
+};
+
+// Replace all recovery codes (requires a current code)
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Verification code is required'
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await consumeTotpCode(user, code))) {
+      return res.status(401).json({
+        error: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate recovery codes',
+      message: error.message
+    });
+  }
+};
+
+// Second login step: exchange a pre-auth token and a code for real tokens
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { preAuthToken, code, recoveryCode } = req.body;
+
+    if (!preAuthToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Pre-auth token and a verification or recovery code are required'
+      });
+    }
+
+    const ipRetryAfter = await LoginProtectionService.checkIp(req.ip);
+    if (ipRetryAfter > 0) {
+      res.set('Retry-After', String(ipRetryAfter));
+      return res.status(429).json({
+        error: 'Too many failed login attempts. Please try again later.',
+        retryAfter: ipRetryAfter
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(preAuthToken);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Invalid or expired pre-auth token'
+      });
+    }
+
+    if (decoded.type !== 'pre_auth') {
+      return res.status(401).json({
+        error: 'Invalid token type'
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(decoded.userId);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        error: 'Invalid or expired pre-auth token'
+      });
+    }
+
+    // Codes are guessable, so they share the login lockout
+    const retryAfter = LoginProtectionService.checkAccount(user);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Account temporarily locked due to too many failed login attempts',
+        retryAfter
+      });
+    }
+
+    const twoFactor = code
+      ? await consumeTotpCode(user, code)
+      : await consumeRecoveryCode(user, recoveryCode);
+
+    if (!twoFactor) {
+      await LoginProtectionService.recordFailure(req.ip, user);
+      return res.status(401).json({
+        error: 'Invalid verification code'
+      });
+    }
+
+    await LoginProtectionService.recordSuccess(user);
+    await user.updateLastLogin();
+
+    const tokenResponse = await TokenService.startSession(user, req, { mfaVerified: true });
+
+    res.json({
+      message: 'Login successful',
+      ...tokenResponse,
+      recoveryCodesRemaining: twoFactor.recoveryCodes.length
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Two-factor login failed',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+};
@@ -1,5 +1,96 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
 const { verifyToken, extractToken } = require('../utils/jwt');
+const AuditService = require('../services/AuditService');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const TOKEN_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Authenticate a request carrying a personal access token. Tokens are only
+// accepted on routes that declared a scope with tokenScopes().
+const authenticatePersonalAccessToken = async (req, res, next, token) => {
+  if (!req.requiredTokenScope) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'Personal access tokens cannot be used for this endpoint'
+    });
+  }
+  
+  const accessToken = await PersonalAccessToken.findActiveByToken(token);
+  
+  if (!accessToken) {
+    return res.status(401).json({ error: 'Invalid, expired or revoked access token' });
+  }
+  
+  if (!accessToken.hasScope(req.requiredTokenScope)) {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      message: `This endpoint requires the ${req.requiredTokenScope} scope`
+    });
+  }
+  
+  const user = await User.findById(accessToken.user_id).select('-password');
+  
+  if (!user) {
+    return res.status(401).json({ error: 'User not found' });
+  }
+  
+  if (!user.isActive) {
+    return res.status(401).json({ error: 'Account is deactivated' });
+  }
+  
+  // Record usage, at most every few minutes
+  if (!accessToken.last_used_at || Date.now() - accessToken.last_used_at.getTime() > TOKEN_TOUCH_INTERVAL_MS) {
+    await PersonalAccessToken.updateOne({ _id: accessToken._id }, { $set: { last_used_at: new Date() } });
+  }
+  
+  req.user = user;
+  req.authMethod = 'personal_access_token';
+  req.tokenScopes = accessToken.scopes;
+  next();
+};
+
+// Authenticate a request carrying an admin impersonation token. These tokens
+// are read-only and every request made with one is written to the audit log.
+const authenticateImpersonation = async (req, res, next, decoded) => {
+  if (!['GET', 'HEAD'].includes(req.method)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'Impersonation tokens are read-only'
+    });
+  }
+  
+  const [user, impersonator] = await Promise.all([
+    User.findById(decoded.userId).select('-password'),
+    User.findById(decoded.impersonatorId).select('-password')
+  ]);
+  
+  // The admin must still be allowed to impersonate when the token is used
+  if (!impersonator || !impersonator.isActive || !hasPermission(impersonator, PERMISSIONS.USERS_IMPERSONATE)) {
+    return res.status(401).json({ error: 'Impersonation is no longer permitted' });
+  }
+  
+  if (!user) {
+    return res.status(401).json({ error: 'User not found' });
+  }
+  
+  req.user = user;
+  req.impersonator = impersonator;
+  req.authMethod = 'impersonation';
+  
+  await AuditService.record(req, {
+    action: 'impersonation.request',
+    targetType: 'user',
+    targetId: user._id,
+    after: { method: req.method, path: req.originalUrl },
+    actor: impersonator
+  });
+  
+  res.set('X-Impersonated-By', impersonator._id.toString());
+  next();
+};
 
 // Middleware to authenticate user
 const authenticate = async (req, res, next) => {
@@ -16,8 +107,22 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid authorization header format' });
     }
     
+    if (PersonalAccessToken.isPersonalAccessToken(token)) {
+      return await authenticatePersonalAccessToken(req, res, next, token);
+    }
+    
     const decoded = verifyToken(token);
     
+    if (decoded.type === 'impersonation') {
+      return await authenticateImpersonation(req, res, next, decoded);
+    }
+    
+    // Only access tokens (no type claim) are accepted here; refresh and
+    // pre-auth tokens have their own endpoints
+    if (decoded.type) {
+      return res.status(401).json({ error: 'Invalid token type' });
+    }
+    
     // Query the actual database for the user
     const user = await User.findById(decoded.userId).select('-password');
     
@@ -29,8 +134,26 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'Account is deactivated' });
     }
     
+    // Tokens bound to a session stop working once that session is revoked
+    if (decoded.sessionId) {
+      const session = await Session.findById(decoded.sessionId);
+      
+      if (!session || session.revoked_at || session.user_id.toString() !== user._id.toString()) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+      
+      // Record activity, at most every few minutes
+      if (Date.now() - session.last_seen_at.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+        await Session.updateOne({ _id: session._id }, { $set: { last_seen_at: new Date(), ip: req.ip } });
+      }
+      
+      req.sessionId = session._id;
+      req.mfaVerified = session.mfa_verified;
+    }
+    
     // Add user to request object
     req.user = user;
+    req.authMethod = 'jwt';
     next();
   } catch (error) {
     console.error('Authentication error:', error.message);
@@ -41,6 +164,15 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Declare the personal access token scopes a router accepts: `read` for
+// GET/HEAD requests, `write` for everything else. Place before authenticate.
+const tokenScopes = ({ read, write }) => {
+  return (req, res, next) => {
+    req.requiredTokenScope = ['GET', 'HEAD'].includes(req.method) ? read : write;
+    next();
+  };
+};
+
 // Middleware to check if user has specific role
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -59,6 +191,36 @@ const authorize = (...roles) => {
   };
 };
 
+// Middleware to check that the user's role grants every listed permission
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: `This endpoint requires the following permissions: ${missing.join(', ')}`
+      });
+    }
+    
+    next();
+  };
+};
+
+// Middleware to keep impersonation tokens away from sensitive read endpoints
+const denyImpersonation = (req, res, next) => {
+  if (req.authMethod === 'impersonation') {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'This endpoint is not available while impersonating a user'
+    });
+  }
+  next();
+};
+
 // Middleware to check if user is admin
 const requireAdmin = authorize('admin');
 
@@ -92,6 +254,55 @@ const requireOwnershipOrAdmin = (getResourceUserId) => {
   };
 };
 
+// Middleware to block unverified learners when REQUIRE_EMAIL_VERIFICATION is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || req.user.role === 'admin') {
+    return next();
+  }
+  
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      error: 'Email verification required',
+      message: 'Please verify your email address before starting a dictionary'
+    });
+  }
+  
+  next();
+};
+
+// Middleware to require a second factor for admins when REQUIRE_ADMIN_2FA is enabled.
+// Admins without 2FA can still reach /api/auth/2fa to enroll.
+const requireAdminTwoFactor = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  
+  if (process.env.REQUIRE_ADMIN_2FA !== 'true' || req.user.role !== 'admin') {
+    return next();
+  }
+  
+  if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+    return res.status(403).json({
+      error: 'Two-factor authentication required',
+      message: 'Enable two-factor authentication to access the admin console',
+      twoFactorSetupRequired: true
+    });
+  }
+  
+  if (!req.mfaVerified) {
+    return res.status(403).json({
+      error: 'Two-factor authentication required',
+      message: 'Please sign in again and complete two-factor authentication'
+    });
+  }
+  
+  next();
+};
+
 // Optional authentication (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -103,6 +314,11 @@ const optionalAuth = async (req, res, next) => {
       if (token) {
         const decoded = verifyToken(token);
         
+        // Only plain access tokens; anything else is treated as anonymous
+        if (decoded.type) {
+          return next();
+        }
+        
         // Find user in database
         const user = await User.findById(decoded.userId).select('-password');
         
@@ -121,9 +337,14 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  tokenScopes,
   authorize,
+  requirePermission,
+  denyImpersonation,
   requireAdmin,
   requireLearnerOrAdmin,
   requireOwnershipOrAdmin,
+  requireVerifiedEmail,
+  requireAdminTwoFactor,
   optionalAuth
 }; 
\ No newline at end of file
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const RECEIPT_TTL_DAYS = 30;
+
+/**
+ * Record of an answer synced from an offline client, keyed by the client's
+ * idempotency key so a replayed answer is applied only once.
+ */
+const answerReceiptSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  idempotency_key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true,
+    maxlength: [200, 'Idempotency key cannot exceed 200 characters']
+  },
+  status: {
+    type: String,
+    // pending: claimed, nothing written yet; applying: writes have started
+    enum: ['pending', 'applying', 'applied'],
+    default: 'pending'
+  },
+  answered_at: {
+    type: Date,
+    required: [true, 'Answer time is required']
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expires_at: {
+    type: Date,
+    default: () => new Date(Date.now() + RECEIPT_TTL_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// A key can be claimed once per user
+answerReceiptSchema.index({ user_id: 1, idempotency_key: 1 }, { unique: true });
+
+// Forget old receipts automatically; clients don't hold answers offline this long
+answerReceiptSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnswerReceipt', answerReceiptSchema);
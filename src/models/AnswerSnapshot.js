@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const SNAPSHOT_TTL_HOURS = 24;
+
+/**
+ * State from just before a word answer was applied, kept so the answer can
+ * be undone. Only the most recent answer of a dictionary is ever undone; the
+ * snapshot is deleted when it is.
+ */
+const answerSnapshotSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  dictionary_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dictionary',
+    required: [true, 'Dictionary ID is required']
+  },
+  word: {
+    type: String,
+    required: [true, 'Word is required']
+  },
+  is_correct: {
+    type: Boolean,
+    required: true
+  },
+  is_new: {
+    type: Boolean,
+    default: false
+  },
+  response_time: {
+    type: Number, // in milliseconds
+    default: 0
+  },
+  answered_at: {
+    type: Date,
+    required: true
+  },
+  user_dictionary: {
+    type: mongoose.Schema.Types.Mixed, // Counters and position before the answer
+    required: true
+  },
+  user_dictionary_updated_at: Date, // updatedAt once the answer moved the position, to detect later changes
+  word_progress: {
+    id: mongoose.Schema.Types.ObjectId,
+    created: Boolean, // Created by this answer, so undo deletes it
+    before: mongoose.Schema.Types.Mixed, // Scheduling state and counters; learning_history is popped instead
+    updated_at: Date // updatedAt right after the answer, to detect later changes
+  },
+  wrong_word: {
+    id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    created: Boolean,
+    before: mongoose.Schema.Types.Mixed,
+    error_added: Boolean,
+    review_added: Boolean,
+    updated_at: Date
+  },
+  study_session: {
+    id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    answer_id: { type: mongoose.Schema.Types.ObjectId, default: null }
+  },
+  activity: {
+    type: mongoose.Schema.Types.Mixed, // What ActivityService changed: day, word_added, statistics_before
+    default: null
+  },
+  expires_at: {
+    type: Date,
+    default: () => new Date(Date.now() + SNAPSHOT_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+answerSnapshotSchema.index({ user_id: 1, dictionary_id: 1, created_at: -1 });
+
+// Snapshots outlive any sensible undo window, then MongoDB removes them
+answerSnapshotSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AnswerSnapshot', answerSnapshotSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['user', 'dictionary', 'dictionary_file', 'invitation'];
+
+/**
+ * Append-only record of an administrative action.
+ * Entries are written once by AuditService and never updated or removed.
+ */
+const auditLogSchema = new mongoose.Schema({
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor ID is required']
+  },
+  actor_email: {
+    type: String,
+    default: null // Snapshot, so entries stay readable if the actor is deleted
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  target_type: {
+    type: String,
+    enum: {
+      values: TARGET_TYPES,
+      message: 'Unknown target type: {VALUE}'
+    },
+    required: [true, 'Target type is required']
+  },
+  target_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Target ID is required']
+  },
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  user_agent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+// Compound indexes for the audit filters
+auditLogSchema.index({ actor_id: 1, created_at: -1 });
+auditLogSchema.index({ target_type: 1, target_id: 1, created_at: -1 });
+auditLogSchema.index({ created_at: -1 });
+
+// Refuse every write other than inserting a new entry
+const rejectMutation = function() {
+  throw new Error('Audit log entries cannot be modified');
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => {
+  auditLogSchema.pre(operation, { document: false, query: true }, rejectMutation);
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
+module.exports.TARGET_TYPES = TARGET_TYPES;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// One document per user, dictionary and local calendar day
+const dailyActivitySchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  dictionary_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dictionary',
+    required: [true, 'Dictionary ID is required']
+  },
+  day: {
+    type: String, // YYYY-MM-DD in the user's time zone
+    required: [true, 'Day is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be formatted as YYYY-MM-DD']
+  },
+  words: {
+    type: [String], // Distinct words answered that day, counted against the daily goal
+    default: []
+  },
+  new_words: {
+    type: Number,
+    default: 0
+  },
+  total_answers: {
+    type: Number,
+    default: 0
+  },
+  correct_answers: {
+    type: Number,
+    default: 0
+  },
+  mastered_words: {
+    type: Number,
+    default: 0
+  },
+  study_time: {
+    type: Number, // in milliseconds
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes for performance
+dailyActivitySchema.index({ user_id: 1, dictionary_id: 1, day: 1 }, { unique: true });
+dailyActivitySchema.index({ user_id: 1, day: 1 });
+
+// Virtual for distinct words studied
+dailyActivitySchema.virtual('words_studied').get(function() {
+  return this.words.length;
+});
+
+// Static method to add one answer to the day's totals; resolves to the day as it was before
+dailyActivitySchema.statics.recordAnswer = function(userId, dictionaryId, day, { word, isNew = false, isCorrect, becameMastered = false, responseTime = 0 }) {
+  return this.findOneAndUpdate(
+    { user_id: userId, dictionary_id: dictionaryId, day },
+    {
+      $addToSet: { words: word },
+      $inc: {
+        new_words: isNew ? 1 : 0,
+        total_answers: 1,
+        correct_answers: isCorrect ? 1 : 0,
+        mastered_words: becameMastered ? 1 : 0,
+        study_time: Math.max(0, Number(responseTime) || 0)
+      }
+    },
+    { upsert: true, new: false, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to take one answer back out of the day's totals
+dailyActivitySchema.statics.removeAnswer = function(userId, dictionaryId, day, { word, wordAdded = false, isNew = false, isCorrect, becameMastered = false, responseTime = 0 }) {
+  const update = {
+    $inc: {
+      new_words: isNew ? -1 : 0,
+      total_answers: -1,
+      correct_answers: isCorrect ? -1 : 0,
+      mastered_words: becameMastered ? -1 : 0,
+      study_time: -Math.max(0, Number(responseTime) || 0)
+    }
+  };
+  if (wordAdded) {
+    update.$pull = { words: word };
+  }
+  return this.updateOne({ user_id: userId, dictionary_id: dictionaryId, day }, update);
+};
+
+module.exports = mongoose.model('DailyActivity', dailyActivitySchema);
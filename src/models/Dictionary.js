@@ -52,6 +52,14 @@ const dictionarySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  grading: {
+    near_miss_threshold: {
+      type: Number, // maximum letter edits for a near-miss spelling
+      min: [0, 'Near-miss threshold cannot be negative'],
+      max: [5, 'Near-miss threshold cannot exceed 5'],
+      default: null // null = based on word length
+    }
+  },
   metadata: {
     file_size: {
       type: Number,
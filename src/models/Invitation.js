@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { INVITABLE_ROLES } = require('../config/permissions');
+
+// Unambiguous characters for codes people may type by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+const invitationSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters'],
+    default: ''
+  },
+  max_uses: {
+    type: Number,
+    min: [1, 'Maximum uses must be at least 1'],
+    default: 1 // 1 = single-use
+  },
+  use_count: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  used_by: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  role: {
+    type: String,
+    enum: {
+      values: INVITABLE_ROLES,
+      message: 'Unknown role: {VALUE}'
+    },
+    default: null // null = default learner role
+  },
+  dictionary_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dictionary',
+    default: null // Dictionary added to the new user's list
+  },
+  expires_at: {
+    type: Date,
+    default: null // null = never expires
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes for performance
+invitationSchema.index({ revoked_at: 1, createdAt: -1 });
+
+// Virtual for whether the code can still be redeemed
+invitationSchema.virtual('is_usable').get(function() {
+  if (this.revoked_at) return false;
+  if (this.expires_at && this.expires_at <= new Date()) return false;
+  return this.use_count < this.max_uses;
+});
+
+// Static method to generate a random code
+invitationSchema.statics.generateCode = function() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+  return code;
+};
+
+// Static method to normalize user-entered codes
+invitationSchema.statics.normalizeCode = function(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+};
+
+// Static method to claim one use of a code. The check and the increment happen
+// in a single update so concurrent registrations can't exceed max_uses.
+invitationSchema.statics.claim = function(code) {
+  return this.findOneAndUpdate(
+    {
+      code: this.normalizeCode(code),
+      revoked_at: null,
+      role: { $in: [null, ...INVITABLE_ROLES] }, // Codes created before admin invites were disallowed
+      $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }],
+      $expr: { $lt: ['$use_count', '$max_uses'] }
+    },
+    { $inc: { use_count: 1 } },
+    { new: true }
+  );
+};
+
+// Instance method to give a claimed use back (registration failed after claiming)
+invitationSchema.methods.release = function() {
+  return this.constructor.updateOne(
+    { _id: this._id, use_count: { $gt: 0 } },
+    { $inc: { use_count: -1 } }
+  );
+};
+
+// Instance method to record the user who redeemed the code
+invitationSchema.methods.recordUse = function(userId) {
+  return this.constructor.updateOne({ _id: this._id }, { $push: { used_by: userId } });
+};
+
+// Instance method to revoke the code; skips validation so codes with a role
+// that can no longer be invited can still be revoked
+invitationSchema.methods.revoke = function() {
+  this.revoked_at = new Date();
+  return this.save({ validateBeforeSave: false });
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
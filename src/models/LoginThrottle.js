@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Failed login counters for sources other than a user account (currently
+ * client IPs). Account level state lives on User.loginSecurity.
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Throttle key is required'],
+    unique: true,
+    trim: true
+  },
+  failed_attempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Failed attempts cannot be negative']
+  },
+  last_failed_at: {
+    type: Date,
+    default: null
+  },
+  locked_until: {
+    type: Date,
+    default: null
+  },
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Forget idle counters automatically
+loginThrottleSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the key is currently locked
+loginThrottleSchema.virtual('is_locked').get(function() {
+  return !!this.locked_until && this.locked_until > new Date();
+});
+
+// Static method to find throttle state for an IP address
+loginThrottleSchema.statics.findByIp = function(ip) {
+  return this.findOne({ key: `ip:${ip}` });
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
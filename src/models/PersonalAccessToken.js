@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Scopes a personal access token can be granted
+const TOKEN_SCOPES = [
+  'progress:read',
+  'progress:write',
+  'wrong-words:read',
+  'wrong-words:write'
+];
+
+const TOKEN_PREFIX = 'vbp_';
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  token_prefix: {
+    type: String,
+    required: [true, 'Token prefix is required'] // Shown in listings to identify the token
+  },
+  token_hash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: TOKEN_SCOPES,
+        message: 'Unknown scope: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expires_at: {
+    type: Date,
+    default: null // null = never expires
+  },
+  last_used_at: {
+    type: Date,
+    default: null
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes for performance
+personalAccessTokenSchema.index({ user_id: 1, revoked_at: 1 });
+
+// Virtual for whether the token can still be used
+personalAccessTokenSchema.virtual('is_active').get(function() {
+  if (this.revoked_at) return false;
+  return !this.expires_at || this.expires_at > new Date();
+});
+
+// Static method to tell personal access tokens apart from JWTs
+personalAccessTokenSchema.statics.isPersonalAccessToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Static method to hash a raw token
+personalAccessTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create a token; the raw value is only available here
+personalAccessTokenSchema.statics.issue = async function(userId, name, scopes, expiresAt = null) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const record = await this.create({
+    user_id: userId,
+    name,
+    token_prefix: token.substring(0, TOKEN_PREFIX.length + 8),
+    token_hash: this.hashToken(token),
+    scopes: [...new Set(scopes)],
+    expires_at: expiresAt
+  });
+  return { token, record };
+};
+
+// Static method to find a usable token by its raw value
+personalAccessTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    token_hash: this.hashToken(token),
+    revoked_at: null,
+    $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }]
+  });
+};
+
+// Static method to list a user's tokens that haven't been revoked
+personalAccessTokenSchema.statics.findByUser = function(userId) {
+  return this.find({ user_id: userId, revoked_at: null }).sort({ createdAt: -1 });
+};
+
+// Instance method to check a scope
+personalAccessTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Static method to revoke all of a user's tokens
+personalAccessTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user_id: userId, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  );
+};
+
+// Instance method to revoke the token
+personalAccessTokenSchema.methods.revoke = function() {
+  this.revoked_at = new Date();
+  return this.save();
+};
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+
+module.exports = PersonalAccessToken;
+module.exports.TOKEN_SCOPES = TOKEN_SCOPES;
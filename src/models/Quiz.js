@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const DIRECTIONS = ['en_zh', 'zh_en'];
+
+const quizSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  dictionary_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dictionary',
+    required: [true, 'Dictionary ID is required']
+  },
+  direction: {
+    type: String,
+    enum: {
+      values: DIRECTIONS,
+      message: 'Direction must be en_zh or zh_en'
+    },
+    required: [true, 'Direction is required']
+  },
+  questions: [{
+    word: {
+      type: String,
+      required: true
+    },
+    word_index: {
+      type: Number,
+      required: true
+    },
+    prompt: {
+      type: String,
+      required: true
+    },
+    options: [{
+      type: String
+    }],
+    correct_option: {
+      type: Number, // The answer key; never sent before the quiz is submitted
+      required: true
+    },
+    selected_option: {
+      type: Number,
+      default: null
+    },
+    is_correct: {
+      type: Boolean,
+      default: null
+    }
+  }],
+  score: {
+    correct: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+  submitted_at: {
+    type: Date,
+    default: null
+  },
+  expires_at: {
+    type: Date, // Unset on submit; only unsubmitted quizzes expire
+    required: [function() { return !this.submitted_at; }, 'Expiry date is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Let MongoDB clean up abandoned quizzes automatically
+quizSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to shape the quiz for the client; the answer key is only
+// included once the quiz has been submitted
+quizSchema.methods.toClientJSON = function() {
+  const submitted = !!this.submitted_at;
+  
+  return {
+    id: this._id,
+    dictionary_id: this.dictionary_id,
+    direction: this.direction,
+    questions: this.questions.map((question, index) => ({
+      index,
+      prompt: question.prompt,
+      options: question.options,
+      ...(submitted ? {
+        word: question.word,
+        correct_option: question.correct_option,
+        selected_option: question.selected_option,
+        is_correct: question.is_correct
+      } : {})
+    })),
+    score: submitted ? this.score : null,
+    submitted_at: this.submitted_at,
+    expires_at: this.expires_at || null,
+    created_at: this.createdAt
+  };
+};
+
+const Quiz = mongoose.model('Quiz', quizSchema);
+
+module.exports = Quiz;
+module.exports.DIRECTIONS = DIRECTIONS;
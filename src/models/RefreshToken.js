@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  token_hash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  family_id: {
+    type: String,
+    required: [true, 'Family ID is required'],
+    index: true
+  },
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  revoked_reason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', null],
+    default: null
+  },
+  replaced_by: {
+    type: String, // token_hash of the token issued by rotation
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+refreshTokenSchema.index({ user_id: 1, revoked_at: 1 });
+
+// Let MongoDB clean up expired tokens automatically
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the token can still be used
+refreshTokenSchema.virtual('is_active').get(function() {
+  return !this.revoked_at && this.expires_at > new Date();
+});
+
+// Static method to hash a raw token before storing or looking it up
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to find a stored token by its raw value
+refreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ token_hash: this.hashToken(token) });
+};
+
+// Static method to revoke every active token in a family
+refreshTokenSchema.statics.revokeFamily = function(familyId, reason = 'logout') {
+  return this.updateMany(
+    { family_id: familyId, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+};
+
+// Static method to revoke every active token belonging to a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason = 'logout_all') {
+  return this.updateMany(
+    { user_id: userId, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+};
+
+// Instance method to revoke a single token
+refreshTokenSchema.methods.revoke = function(reason = 'logout', replacedBy = null) {
+  this.revoked_at = new Date();
+  this.revoked_reason = reason;
+  this.replaced_by = replacedBy;
+  return this.save();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
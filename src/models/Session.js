@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * A signed-in device. Each session owns one refresh token family
+ * (see RefreshToken.family_id) and is referenced by access tokens.
+ */
+const sessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  family_id: {
+    type: String,
+    required: [true, 'Family ID is required'],
+    unique: true
+  },
+  user_agent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters'],
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  mfa_verified: {
+    type: Boolean,
+    default: false // True when the session was opened with a second factor
+  },
+  last_seen_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes for performance
+sessionSchema.index({ user_id: 1, revoked_at: 1, last_seen_at: -1 });
+
+// Let MongoDB clean up expired sessions automatically
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('is_active').get(function() {
+  return !this.revoked_at && this.expires_at > new Date();
+});
+
+// Static method to find a user's active sessions, most recently used first
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user_id: userId,
+    revoked_at: null,
+    expires_at: { $gt: new Date() }
+  }).sort({ last_seen_at: -1 });
+};
+
+// Static method to revoke the session owning a refresh token family
+sessionSchema.statics.revokeByFamily = function(familyId) {
+  return this.updateOne(
+    { family_id: familyId, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  );
+};
+
+// Static method to revoke all of a user's sessions
+sessionSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user_id: userId, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  );
+};
+
+// Instance method to record activity from a request
+sessionSchema.methods.touch = function(ip = null, userAgent = null) {
+  this.last_seen_at = new Date();
+  if (ip) this.ip = ip;
+  if (userAgent) this.user_agent = userAgent.substring(0, 500);
+  return this.save();
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function() {
+  this.revoked_at = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
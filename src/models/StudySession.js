@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const ANSWER_SOURCES = ['study', 'review', 'quiz'];
+
+const studySessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  dictionary_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dictionary',
+    default: null // null = session spans dictionaries (e.g. reviews)
+  },
+  started_at: {
+    type: Date,
+    default: Date.now
+  },
+  last_activity_at: {
+    type: Date,
+    default: Date.now
+  },
+  ended_at: {
+    type: Date,
+    default: null
+  },
+  answers: [{
+    dictionary_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Dictionary',
+      required: true
+    },
+    word: {
+      type: String,
+      required: true
+    },
+    source: {
+      type: String,
+      enum: ANSWER_SOURCES,
+      default: 'study'
+    },
+    is_new: {
+      type: Boolean,
+      default: false // First time the learner answered this word
+    },
+    is_correct: {
+      type: Boolean,
+      required: true
+    },
+    response_time: {
+      type: Number, // in milliseconds
+      default: 0
+    },
+    became_mastered: {
+      type: Boolean,
+      default: false
+    },
+    wrong_word_added: {
+      type: Boolean,
+      default: false // Word was added to (or reopened in) the wrong-words list
+    },
+    answered_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null // Filled in when the session ends
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes for performance
+studySessionSchema.index({ user_id: 1, ended_at: 1 });
+studySessionSchema.index({ user_id: 1, started_at: -1 });
+
+// Virtual for whether the session is still open
+studySessionSchema.virtual('is_active').get(function() {
+  return !this.ended_at;
+});
+
+// Static method to find an open session of a user; invalid IDs find nothing
+studySessionSchema.statics.findActiveForUser = function(userId, sessionId) {
+  if (!sessionId || !String(sessionId).match(/^[0-9a-fA-F]{24}$/)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ _id: sessionId, user_id: userId, ended_at: null });
+};
+
+// Instance method to link an answer to the session
+studySessionSchema.methods.recordAnswer = function(answer) {
+  this.answers.push({ ...answer, answered_at: new Date() });
+  this.last_activity_at = new Date();
+  return this.save();
+};
+
+// Instance method to summarise the session so far
+studySessionSchema.methods.buildSummary = function() {
+  const answers = this.answers;
+  const correct = answers.filter(answer => answer.is_correct).length;
+  const wordKey = (answer) => `${answer.dictionary_id}:${answer.word}`;
+  const newWords = new Set(answers.filter(answer => answer.is_new).map(wordKey));
+  const seenWords = new Set(answers.map(wordKey));
+  const end = this.ended_at || new Date();
+
+  return {
+    words_seen: seenWords.size,
+    new_words: newWords.size,
+    review_words: seenWords.size - newWords.size,
+    total_answers: answers.length,
+    correct_answers: correct,
+    wrong_answers: answers.length - correct,
+    accuracy_rate: answers.length > 0 ? Math.round((correct / answers.length) * 100 * 100) / 100 : 0,
+    time_spent_seconds: Math.round((end - this.started_at) / 1000),
+    answering_time_seconds: Math.round(answers.reduce((sum, answer) => sum + (answer.response_time || 0), 0) / 1000),
+    newly_mastered_words: [...new Set(answers.filter(answer => answer.became_mastered).map(answer => answer.word))],
+    wrong_words_added: [...new Set(answers.filter(answer => answer.wrong_word_added).map(answer => answer.word))]
+  };
+};
+
+// Instance method to close the session and store its summary
+studySessionSchema.methods.end = function(endedAt = new Date()) {
+  this.ended_at = endedAt;
+  this.summary = this.buildSummary();
+  return this.save();
+};
+
+const StudySession = mongoose.model('StudySession', studySessionSchema);
+
+module.exports = StudySession;
+module.exports.ANSWER_SOURCES = ANSWER_SOURCES;
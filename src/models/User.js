@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
+const { SCHEDULER_NAMES, DEFAULT_SCHEDULER } = require('../services/schedulers');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../utils/localDay');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -48,12 +51,16 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['learner', 'admin'],
+    enum: ROLES,
     default: 'learner'
   },
+  teachers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Teachers who can see this learner's progress
+  }],
   profileImage: {
     type: String,
-    default: null // Will store filename of uploaded image
+    default: null // Storage key of the uploaded avatar, see ProfileImageService
   },
   registrationDate: {
     type: Date,
@@ -67,6 +74,70 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  verificationEmailSentAt: {
+    type: Date,
+    default: null // Used to throttle resend requests
+  },
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null // Account is purged after this date unless cancelled
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      default: null, // Secret awaiting confirmation during enrollment
+      select: false
+    },
+    recoveryCodes: {
+      type: [String], // SHA-256 hashes of unused recovery codes
+      default: [],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      default: null, // Last accepted TOTP time step, prevents code replay
+      select: false
+    }
+  },
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    }
+  },
   learningPreferences: {
     difficulty: {
       type: String,
@@ -80,6 +151,19 @@ const userSchema = new mongoose.Schema({
     reminderEnabled: {
       type: Boolean,
       default: true
+    },
+    scheduler: {
+      type: String,
+      enum: SCHEDULER_NAMES, // Changed through /api/user/scheduler, which migrates word state
+      default: DEFAULT_SCHEDULER
+    },
+    timezone: {
+      type: String, // IANA zone; local midnight ends the study day for goals and streaks
+      default: DEFAULT_TIME_ZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Timezone must be an IANA time zone such as Asia/Shanghai'
+      }
     }
   },
   statistics: {
@@ -112,7 +196,9 @@ const userSchema = new mongoose.Schema({
 
 // Index for performance
 userSchema.index({ role: 1 });
+userSchema.index({ teachers: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -139,6 +225,13 @@ userSchema.methods.updateLastLogin = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Mark email address as verified
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  return this.save({ validateBeforeSave: false });
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   try {
@@ -152,9 +245,25 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toPublicJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
+// Static method to find a user with two-factor secrets loaded
+userSchema.statics.findByIdWithTwoFactor = function(id) {
+  return this.findById(id).select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+};
+
+// Static method to find learners assigned to a teacher
+userSchema.statics.findStudentsOf = function(teacherId) {
+  return this.find({ teachers: teacherId, isActive: true });
+};
+
 // Static method to find active users
 userSchema.statics.findActiveUsers = function() {
   return this.find({ isActive: true });
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { randomSeed, seededShuffle } = require('../utils/shuffle');
 
 const userDictionarySchema = new mongoose.Schema({
   user_id: {
@@ -72,11 +73,19 @@ const userDictionarySchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    shuffle_seed: {
+      type: Number,
+      default: null // Assigned the first time the words are shuffled
+    },
     auto_play_audio: {
       type: Boolean,
       default: true
     }
   },
+  word_order: {
+    type: [Number], // Word index studied at each position; empty = file order
+    default: []
+  },
   session_stats: {
     total_study_time: {
       type: Number, // in seconds
@@ -157,6 +166,41 @@ userDictionarySchema.statics.findCompletedByUser = function(userId) {
   return this.find({ user_id: userId, status: 'completed' }).populate('dictionary_id');
 };
 
+// Instance method to map a study position to the word index in the dictionary file
+userDictionarySchema.methods.wordIndexAt = function(position) {
+  if (this.word_order.length !== this.total_words) return position;
+  const index = this.word_order[position];
+  return index === undefined ? position : index;
+};
+
+// Instance method to rebuild the word order from the shuffle setting.
+// Words before current_position keep their place, so progress survives a toggle.
+userDictionarySchema.methods.applyWordOrder = function() {
+  const position = Math.min(this.current_position, this.total_words);
+  const studied = [];
+  for (let p = 0; p < position; p++) {
+    studied.push(this.wordIndexAt(p));
+  }
+
+  const studiedSet = new Set(studied);
+  const remaining = [];
+  for (let index = 0; index < this.total_words; index++) {
+    if (!studiedSet.has(index)) remaining.push(index);
+  }
+
+  if (this.settings.shuffle_words) {
+    if (this.settings.shuffle_seed === null) {
+      this.settings.shuffle_seed = randomSeed();
+    }
+    this.word_order = studied.concat(seededShuffle(remaining, this.settings.shuffle_seed));
+  } else if (studied.every((index, p) => index === p)) {
+    this.word_order = []; // Back to plain file order
+  } else {
+    this.word_order = studied.concat(remaining);
+  }
+  return this;
+};
+
 // Instance method to start dictionary
 userDictionarySchema.methods.startDictionary = function() {
   if (this.status === 'not_started') {
@@ -199,9 +243,11 @@ userDictionarySchema.methods.updateProgress = function(isCorrect, timeSpent = 0)
   return this.save();
 };
 
-// Instance method to advance position
-userDictionarySchema.methods.advancePosition = function() {
-  this.current_position += 1;
+// Instance method to advance position, passing over the word indexes in skipIndexes (words marked known)
+userDictionarySchema.methods.advancePosition = function(skipIndexes = new Set()) {
+  do {
+    this.current_position += 1;
+  } while (this.current_position < this.total_words && skipIndexes.has(this.wordIndexAt(this.current_position)));
   this.completed_words = Math.max(this.completed_words, this.current_position);
   
   // Check if dictionary is completed
@@ -220,6 +266,7 @@ userDictionarySchema.methods.resetProgress = function() {
   this.correct_answers = 0;
   this.wrong_answers = 0;
   this.current_position = 0;
+  this.applyWordOrder();
   this.status = 'not_started';
   this.started_at = null;
   this.completed_at = null;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * One-time tokens sent to users by email (password reset, email verification).
+ * Only a SHA-256 hash of the token is stored.
+ */
+const userTokenSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: {
+      values: ['password_reset', 'email_verification'],
+      message: 'Unsupported token purpose'
+    },
+    required: [true, 'Token purpose is required']
+  },
+  token_hash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  used_at: {
+    type: Date,
+    default: null
+  },
+  requested_ip: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for performance
+userTokenSchema.index({ user_id: 1, purpose: 1, used_at: 1 });
+
+// Let MongoDB clean up expired tokens automatically
+userTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a raw token
+userTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to create a token and return the raw value alongside the record
+userTokenSchema.statics.issue = async function(userId, purpose, ttlMs, requestedIp = null) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const record = await this.create({
+    user_id: userId,
+    purpose,
+    token_hash: this.hashToken(token),
+    expires_at: new Date(Date.now() + ttlMs),
+    requested_ip: requestedIp
+  });
+  return { token, record };
+};
+
+// Static method to find an unused, unexpired token by its raw value
+userTokenSchema.statics.findValid = function(token, purpose) {
+  return this.findOne({
+    token_hash: this.hashToken(token),
+    purpose,
+    used_at: null,
+    expires_at: { $gt: new Date() }
+  });
+};
+
+// Static method to invalidate all outstanding tokens of a purpose for a user
+userTokenSchema.statics.invalidateForUser = function(userId, purpose) {
+  return this.updateMany(
+    { user_id: userId, purpose, used_at: null },
+    { $set: { used_at: new Date() } }
+  );
+};
+
+// Instance method to consume the token; resolves to false if another request consumed it first
+userTokenSchema.methods.markUsed = async function() {
+  const usedAt = new Date();
+  const result = await this.constructor.updateOne(
+    { _id: this._id, used_at: null },
+    { $set: { used_at: usedAt } }
+  );
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  this.used_at = usedAt;
+  return true;
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
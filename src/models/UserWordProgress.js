@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getScheduler } = require('../services/schedulers');
 
 const userWordProgressSchema = new mongoose.Schema({
   user_id: {
@@ -58,6 +59,18 @@ const userWordProgressSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  manual_status: {
+    type: String,
+    enum: {
+      values: ['known', 'mastered'],
+      message: 'Manual status must be known or mastered'
+    },
+    default: null // Set when the learner marks the word instead of earning mastery
+  },
+  buried_until: {
+    type: Date,
+    default: null // Hidden from review queues until then
+  },
   difficulty_rating: {
     type: Number,
     min: [1, 'Difficulty rating must be at least 1'],
@@ -79,6 +92,26 @@ const userWordProgressSchema = new mongoose.Schema({
       default: 0
     }
   },
+  fsrs: {
+    stability: {
+      type: Number, // days until recall probability drops to 90%
+      default: null // null = not yet scheduled with FSRS
+    },
+    difficulty: {
+      type: Number,
+      min: [1, 'FSRS difficulty must be at least 1'],
+      max: [10, 'FSRS difficulty cannot exceed 10'],
+      default: null
+    },
+    lapses: {
+      type: Number,
+      default: 0
+    },
+    last_review: {
+      type: Date,
+      default: null
+    }
+  },
   learning_history: [{
     attempt_date: {
       type: Date,
@@ -214,8 +247,35 @@ userWordProgressSchema.statics.findStrugglingWords = function(userId, dictionary
   return this.find(query).populate('dictionary_id');
 };
 
+// Static method to prepare all of a user's words for a newly chosen scheduler
+userWordProgressSchema.statics.migrateScheduler = async function(userId, schedulerName) {
+  const scheduler = getScheduler(schedulerName);
+  if (!scheduler.migrate) return 0;
+  
+  let migrated = 0;
+  const cursor = this.find({ user_id: userId }).cursor();
+  for (let progress = await cursor.next(); progress; progress = await cursor.next()) {
+    if (scheduler.migrate(progress)) {
+      await progress.save();
+      migrated += 1;
+    }
+  }
+  return migrated;
+};
+
+// Static method to find the word indexes of a dictionary marked known or mastered by hand
+userWordProgressSchema.statics.findMarkedIndexes = async function(userId, dictionaryId) {
+  const marked = await this.find({
+    user_id: userId,
+    dictionary_id: dictionaryId,
+    manual_status: { $ne: null }
+  }).select('word_index');
+
+  return new Set(marked.map(progress => progress.word_index));
+};
+
 // Instance method to record attempt
-userWordProgressSchema.methods.recordAttempt = function(isCorrect, responseTime = 0, userDifficulty = null) {
+userWordProgressSchema.methods.recordAttempt = function(isCorrect, responseTime = 0, userDifficulty = null, schedulerName = null, attemptedAt = new Date()) {
   // Update basic stats
   if (isCorrect) {
     this.correct_attempts += 1;
@@ -227,9 +287,13 @@ userWordProgressSchema.methods.recordAttempt = function(isCorrect, responseTime
     this.performance_metrics.consecutive_correct = 0;
   }
   
+  // Update spaced repetition before this attempt joins the history, so
+  // schedulers that replay the history don't count it twice
+  this.updateSpacedRepetition(isCorrect, userDifficulty, schedulerName, attemptedAt);
+  
   // Add to learning history
   this.learning_history.push({
-    attempt_date: new Date(),
+    attempt_date: attemptedAt,
     was_correct: isCorrect,
     response_time: responseTime,
     difficulty_after: userDifficulty || this.difficulty_rating
@@ -238,13 +302,13 @@ userWordProgressSchema.methods.recordAttempt = function(isCorrect, responseTime
   // Update performance metrics
   this.updatePerformanceMetrics();
   
-  // Update spaced repetition
-  this.updateSpacedRepetition(isCorrect, userDifficulty);
-  
   // Update mastery level
   this.updateMasteryLevel();
   
-  this.last_reviewed = new Date();
+  this.last_reviewed = attemptedAt;
+  
+  // Answering a buried word brings it back
+  this.buried_until = null;
   
   return this.save();
 };
@@ -269,32 +333,9 @@ userWordProgressSchema.methods.updatePerformanceMetrics = function() {
   );
 };
 
-// Instance method to update spaced repetition
-userWordProgressSchema.methods.updateSpacedRepetition = function(isCorrect, userDifficulty = null) {
-  const sr = this.spaced_repetition;
-  
-  if (isCorrect) {
-    if (sr.repetition === 0) {
-      sr.interval = 1;
-    } else if (sr.repetition === 1) {
-      sr.interval = 6;
-    } else {
-      sr.interval = Math.round(sr.interval * sr.ease_factor);
-    }
-    sr.repetition += 1;
-  } else {
-    sr.repetition = 0;
-    sr.interval = 1;
-  }
-  
-  // Adjust ease factor based on user difficulty rating
-  if (userDifficulty) {
-    const difficultyAdjustment = (3 - userDifficulty) * 0.15;
-    sr.ease_factor = Math.max(1.3, sr.ease_factor + difficultyAdjustment);
-  }
-  
-  // Set next review date
-  this.next_review = new Date(Date.now() + sr.interval * 24 * 60 * 60 * 1000);
+// Instance method to update spaced repetition with the given scheduler (SM-2 by default)
+userWordProgressSchema.methods.updateSpacedRepetition = function(isCorrect, userDifficulty = null, schedulerName = null, reviewedAt = new Date()) {
+  getScheduler(schedulerName).schedule(this, { isCorrect, userDifficulty, reviewedAt });
 };
 
 // Instance method to update mastery level
@@ -321,6 +362,7 @@ userWordProgressSchema.methods.updateMasteryLevel = function() {
   if (this.performance_metrics.consecutive_wrong >= 3) {
     this.mastery_level = Math.max(0, this.mastery_level - 1);
     this.is_mastered = false;
+    this.manual_status = null;
   }
 };
 
@@ -333,7 +375,10 @@ userWordProgressSchema.methods.resetProgress = function() {
   this.spaced_repetition.interval = 1;
   this.spaced_repetition.ease_factor = 2.5;
   this.spaced_repetition.repetition = 0;
+  this.fsrs = { stability: null, difficulty: null, lapses: 0, last_review: null };
   this.next_review = new Date();
+  this.manual_status = null;
+  this.buried_until = null;
   this.learning_history = [];
   this.performance_metrics = {
     average_response_time: 0,
@@ -345,12 +390,22 @@ userWordProgressSchema.methods.resetProgress = function() {
   return this.save();
 };
 
-// Instance method to mark as mastered
-userWordProgressSchema.methods.markAsMastered = function() {
+// Instance method to mark as mastered by hand ('known' = skipped because the learner already knew it)
+userWordProgressSchema.methods.markAsMastered = function(manualStatus = 'mastered') {
   this.mastery_level = 5;
   this.is_mastered = true;
+  this.manual_status = manualStatus;
   this.next_review = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days from now
   return this.save();
 };
 
+// Instance method to hide the word from review queues for a number of days
+userWordProgressSchema.methods.bury = function(days) {
+  this.buried_until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  if (this.next_review < this.buried_until) {
+    this.next_review = this.buried_until;
+  }
+  return this.save();
+};
+
 module.exports = mongoose.model('UserWordProgress', userWordProgressSchema); 
\ No newline at end of file
@@ -67,13 +67,17 @@ const wrongWordsSchema = new mongoose.Schema({
     },
     error_type: {
       type: String,
-      enum: ['spelling', 'meaning', 'pronunciation', 'usage', 'other'],
+      enum: ['spelling', 'meaning', 'recall', 'pronunciation', 'usage', 'other'], // recall: picked the wrong word for a meaning
       default: 'meaning'
     },
     context: {
       type: String,
       trim: true,
       default: ''
+    },
+    spelling_diagnosis: {
+      type: mongoose.Schema.Types.Mixed, // wrong/missing/extra/swapped letters for spelling errors
+      default: null
     }
   }],
   review_history: [{
@@ -87,7 +91,7 @@ const wrongWordsSchema = new mongoose.Schema({
     },
     review_method: {
       type: String,
-      enum: ['study', 'quiz', 'spaced_repetition', 'manual_review'],
+      enum: ['study', 'quiz', 'spaced_repetition', 'manual_review', 'review_mode'],
       default: 'study'
     },
     response_time: {
@@ -269,7 +273,7 @@ wrongWordsSchema.statics.findByUrgency = function(userId, limit = 10) {
 };
 
 // Instance method to add error
-wrongWordsSchema.methods.addError = function(userAnswer = '', correctAnswer = '', errorType = 'meaning', context = '') {
+wrongWordsSchema.methods.addError = function(userAnswer = '', correctAnswer = '', errorType = 'meaning', context = '', spellingDiagnosis = null) {
   this.error_count += 1;
   this.last_wrong_date = new Date();
   
@@ -288,7 +292,8 @@ wrongWordsSchema.methods.addError = function(userAnswer = '', correctAnswer = ''
     user_answer: userAnswer,
     correct_answer: correctAnswer,
     error_type: errorType,
-    context: context
+    context: context,
+    spelling_diagnosis: spellingDiagnosis
   });
   
   // Mark as unresolved if it was previously resolved
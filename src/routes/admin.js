@@ -1,7 +1,8 @@
 const express = require('express');
 const multer = require('multer');
 const AdminController = require('../controllers/AdminController');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission, requireAdminTwoFactor } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -39,54 +40,85 @@ const upload = multer({
  * Admin Routes using existing auth system
  */
 
-// Apply authentication and admin check to all routes
+// Apply authentication to all routes; each route checks its own permission
 router.use(authenticate);
-router.use(requireAdmin);
+router.use(requireAdminTwoFactor);
 
 /**
  * Dashboard Routes
  */
 // GET /api/admin/dashboard/stats
-router.get('/dashboard/stats', AdminController.getDashboardStats);
+router.get('/dashboard/stats', requirePermission(PERMISSIONS.DASHBOARD_READ), AdminController.getDashboardStats);
 
 /**
  * User Management Routes
  */
 // GET /api/admin/users
-router.get('/users', AdminController.getUsers);
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), AdminController.getUsers);
 
 // GET /api/admin/users/:id
-router.get('/users/:id', AdminController.getUserById);
+router.get('/users/:id', requirePermission(PERMISSIONS.USERS_READ), AdminController.getUserById);
 
 // PUT /api/admin/users/:id
-router.put('/users/:id', AdminController.updateUser);
+router.put('/users/:id', requirePermission(PERMISSIONS.USERS_WRITE), AdminController.updateUser);
 
 // PATCH /api/admin/users/:id/toggle-status
-router.patch('/users/:id/toggle-status', AdminController.toggleUserStatus);
+router.patch('/users/:id/toggle-status', requirePermission(PERMISSIONS.USERS_WRITE), AdminController.toggleUserStatus);
+
+// POST /api/admin/users/:id/impersonate
+router.post('/users/:id/impersonate', requirePermission(PERMISSIONS.USERS_IMPERSONATE), AdminController.impersonateUser);
+
+// PUT /api/admin/users/:id/teachers
+router.put('/users/:id/teachers', requirePermission(PERMISSIONS.STUDENTS_ASSIGN), AdminController.setUserTeachers);
+
+// DELETE /api/admin/users/:id/lockout
+router.delete('/users/:id/lockout', requirePermission(PERMISSIONS.USERS_WRITE), AdminController.clearUserLockout);
 
 /**
  * Dictionary Management Routes
  */
 // GET /api/admin/dictionaries
-router.get('/dictionaries', AdminController.getDictionaryFiles);
+router.get('/dictionaries', requirePermission(PERMISSIONS.DICTIONARIES_READ), AdminController.getDictionaryFiles);
 
 // POST /api/admin/dictionaries/upload
-router.post('/dictionaries/upload', upload.single('dictionaryFile'), AdminController.uploadDictionaryFile);
+router.post('/dictionaries/upload', requirePermission(PERMISSIONS.DICTIONARIES_WRITE), upload.single('dictionaryFile'), AdminController.uploadDictionaryFile);
 
 // PATCH /api/admin/dictionaries/:id/toggle-status
-router.patch('/dictionaries/:id/toggle-status', AdminController.toggleDictionaryStatus);
+router.patch('/dictionaries/:id/toggle-status', requirePermission(PERMISSIONS.DICTIONARIES_WRITE), AdminController.toggleDictionaryStatus);
+
+// PATCH /api/admin/dictionaries/:id/grading
+router.patch('/dictionaries/:id/grading', requirePermission(PERMISSIONS.DICTIONARIES_WRITE), AdminController.updateDictionaryGrading);
 
 // DELETE /api/admin/dictionaries/:id
-router.delete('/dictionaries/:id', AdminController.deleteDictionaryFile);
+router.delete('/dictionaries/:id', requirePermission(PERMISSIONS.DICTIONARIES_WRITE), AdminController.deleteDictionaryFile);
+
+/**
+ * Invitation Routes
+ */
+// GET /api/admin/invitations
+router.get('/invitations', requirePermission(PERMISSIONS.INVITATIONS_MANAGE), AdminController.getInvitations);
+
+// POST /api/admin/invitations
+router.post('/invitations', requirePermission(PERMISSIONS.INVITATIONS_MANAGE), AdminController.createInvitation);
+
+// DELETE /api/admin/invitations/:id
+router.delete('/invitations/:id', requirePermission(PERMISSIONS.INVITATIONS_MANAGE), AdminController.revokeInvitation);
+
+/**
+ * Audit Routes
+ */
+// GET /api/admin/audit
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_READ), AdminController.getAuditLog);
 
 /**
  * Health check for admin routes
  */
-router.get('/health', (req, res) => {
+router.get('/health', requirePermission(PERMISSIONS.DASHBOARD_READ), (req, res) => {
   res.json({
     success: true,
     message: 'Admin routes are healthy',
     admin: req.user.email,
+    role: req.user.role,
     timestamp: new Date().toISOString()
   });
 });
@@ -1,9 +1,47 @@
 const express = require('express');
-const { register, login, logout, getProfile, updateProfile, changePassword, refreshToken } = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const multer = require('multer');
+const { register, login, logout, logoutAll, getSessions, revokeSession, getProfile, updateProfile, uploadProfileImage, changePassword, verifyEmail, resendVerificationEmail, requestPasswordReset, confirmPasswordReset, refreshToken } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+} = require('../controllers/twoFactorController');
+const {
+  exportAccountData,
+  getDeletionStatus,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} = require('../controllers/accountController');
+const { getAccessTokens, createAccessToken, revokeAccessToken } = require('../controllers/accessTokenController');
+const { authenticate, denyImpersonation } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Keep uploads in memory; sharp validates and processes them before anything touches disk
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+}).single('image');
+
+// Turn multer errors (file too large etc.) into 400 responses
+const handleImageUpload = (req, res, next) => {
+  imageUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        error: 'Image upload failed',
+        message: error.message
+      });
+    }
+    next();
+  });
+};
+
 // @route   POST /auth/register
 // @desc    Register a new user
 // @access  Public
@@ -24,6 +62,21 @@ router.post('/refresh', refreshToken);
 // @access  Private
 router.post('/logout', authenticate, logout);
 
+// @route   POST /auth/logout-all
+// @desc    Revoke every refresh token of the user (log out everywhere)
+// @access  Private
+router.post('/logout-all', authenticate, logoutAll);
+
+// @route   GET /auth/sessions
+// @desc    List devices the user is signed in on
+// @access  Private
+router.get('/sessions', authenticate, denyImpersonation, getSessions);
+
+// @route   DELETE /auth/sessions/:id
+// @desc    Sign out a device
+// @access  Private
+router.delete('/sessions/:id', authenticate, revokeSession);
+
 // @route   GET /auth/profile
 // @desc    Get current user profile
 // @access  Private
@@ -34,11 +87,101 @@ router.get('/profile', authenticate, getProfile);
 // @access  Private
 router.put('/profile', authenticate, updateProfile);
 
+// @route   PUT /auth/profile/image
+// @desc    Upload profile image (multipart field "image")
+// @access  Private
+router.put('/profile/image', authenticate, handleImageUpload, uploadProfileImage);
+
 // @route   PUT /auth/change-password
 // @desc    Change user password
 // @access  Private
 router.put('/change-password', authenticate, changePassword);
 
+// @route   POST /auth/verify-email
+// @desc    Verify email address with a token from the verification email
+// @access  Public
+router.post('/verify-email', verifyEmail);
+
+// @route   POST /auth/verify-email/resend
+// @desc    Resend the verification email (throttled)
+// @access  Private
+router.post('/verify-email/resend', authenticate, resendVerificationEmail);
+
+// @route   POST /auth/password-reset/request
+// @desc    Email a one-time password reset link
+// @access  Public
+router.post('/password-reset/request', requestPasswordReset);
+
+// @route   POST /auth/password-reset/confirm
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/password-reset/confirm', confirmPasswordReset);
+
+// @route   GET /auth/tokens
+// @desc    List personal access tokens
+// @access  Private
+router.get('/tokens', authenticate, denyImpersonation, getAccessTokens);
+
+// @route   POST /auth/tokens
+// @desc    Create a scoped personal access token for scripts
+// @access  Private
+router.post('/tokens', authenticate, createAccessToken);
+
+// @route   DELETE /auth/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/tokens/:id', authenticate, revokeAccessToken);
+
+// @route   GET /auth/account/export
+// @desc    Download all personal data as a ZIP of JSON and CSV files
+// @access  Private
+router.get('/account/export', authenticate, denyImpersonation, exportAccountData);
+
+// @route   GET /auth/account/deletion
+// @desc    Get pending account deletion status
+// @access  Private
+router.get('/account/deletion', authenticate, denyImpersonation, getDeletionStatus);
+
+// @route   POST /auth/account/deletion
+// @desc    Schedule account deletion after a grace period
+// @access  Private
+router.post('/account/deletion', authenticate, requestAccountDeletion);
+
+// @route   DELETE /auth/account/deletion
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.delete('/account/deletion', authenticate, cancelAccountDeletion);
+
+// @route   POST /auth/2fa/verify
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public (requires pre-auth token from /auth/login)
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+// @route   GET /auth/2fa
+// @desc    Get two-factor status
+// @access  Private
+router.get('/2fa', authenticate, denyImpersonation, getTwoFactorStatus);
+
+// @route   POST /auth/2fa/setup
+// @desc    Start two-factor enrollment
+// @access  Private
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+
+// @route   POST /auth/2fa/enable
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @access  Private
+router.post('/2fa/enable', authenticate, enableTwoFactor);
+
+// @route   POST /auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', authenticate, disableTwoFactor);
+
+// @route   POST /auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', authenticate, regenerateRecoveryCodes);
+
 // @route   GET /auth/test
 // @desc    Test authentication
 // @access  Private
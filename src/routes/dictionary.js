@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const DictionaryController = require('../controllers/DictionaryController');
 
 // Public routes (no authentication required)
@@ -29,11 +30,11 @@ router.get('/:id/random', DictionaryController.getRandomWords);
 // GET /api/dictionaries/:id/validate - Validate dictionary file structure
 router.get('/:id/validate', authenticate, DictionaryController.validateDictionary);
 
-// Admin only routes
+// Dictionary management routes
 // POST /api/dictionaries/initialize - Initialize/reload dictionaries from files
-router.post('/initialize', authenticate, DictionaryController.initializeDictionaries);
+router.post('/initialize', authenticate, requirePermission(PERMISSIONS.DICTIONARIES_WRITE), DictionaryController.initializeDictionaries);
 
 // DELETE /api/dictionaries/cache - Clear dictionary cache
-router.delete('/cache', authenticate, DictionaryController.clearCache);
+router.delete('/cache', authenticate, requirePermission(PERMISSIONS.DICTIONARIES_WRITE), DictionaryController.clearCache);
 
 module.exports = router; 
\ No newline at end of file
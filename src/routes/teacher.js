@@ -0,0 +1,18 @@
+const express = require('express');
+const TeacherController = require('../controllers/TeacherController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// All routes require authentication and permission to read student progress
+router.use(authenticate);
+router.use(requirePermission(PERMISSIONS.STUDENTS_READ));
+
+// GET /api/teacher/students - List assigned students
+router.get('/students', TeacherController.getStudents);
+
+// GET /api/teacher/students/:id/progress - Get an assigned student's progress
+router.get('/students/:id/progress', TeacherController.getStudentProgress);
+
+module.exports = router;
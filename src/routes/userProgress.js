@@ -1,16 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, tokenScopes, requireVerifiedEmail } = require('../middleware/auth');
 const UserProgressController = require('../controllers/UserProgressController');
+const ReviewController = require('../controllers/ReviewController');
+const QuizController = require('../controllers/QuizController');
+const StudySessionController = require('../controllers/StudySessionController');
+const GoalController = require('../controllers/GoalController');
+const WordStatusController = require('../controllers/WordStatusController');
 
-// All routes require authentication
+// All routes require authentication; personal access tokens need the progress scopes
+router.use(tokenScopes({ read: 'progress:read', write: 'progress:write' }));
 router.use(authenticate);
 
 // GET /api/user/dictionaries - Get user's progress across all dictionaries
 router.get('/dictionaries', UserProgressController.getUserDictionaries);
 
 // POST /api/user/dictionaries/:id/start - Start learning a dictionary
-router.post('/dictionaries/:id/start', UserProgressController.startDictionary);
+router.post('/dictionaries/:id/start', requireVerifiedEmail, UserProgressController.startDictionary);
 
 // GET /api/user/dictionaries/:id/current-word - Get current word for learning
 router.get('/dictionaries/:id/current-word', UserProgressController.getCurrentWord);
@@ -21,7 +27,58 @@ router.get('/dictionaries/:id/progress', UserProgressController.getDictionaryPro
 // PUT /api/user/dictionaries/:id/progress - Update learning progress
 router.put('/dictionaries/:id/progress', UserProgressController.updateProgress);
 
+// POST /api/user/dictionaries/:id/undo - Undo the most recent answer (within the undo window)
+router.post('/dictionaries/:id/undo', UserProgressController.undoLastAnswer);
+
+// POST /api/user/dictionaries/:id/words/:wordIndex/known - Skip a word the learner already knows
+router.post('/dictionaries/:id/words/:wordIndex/known', WordStatusController.markWordKnown);
+
+// POST /api/user/dictionaries/:id/words/:wordIndex/mastered - Mark a word as mastered
+router.post('/dictionaries/:id/words/:wordIndex/mastered', WordStatusController.markWordMastered);
+
+// POST /api/user/dictionaries/:id/words/:wordIndex/bury - Hide a word from reviews for N days
+router.post('/dictionaries/:id/words/:wordIndex/bury', WordStatusController.buryWord);
+
 // POST /api/user/word-answer - Submit answer for a word
 router.post('/word-answer', UserProgressController.submitWordAnswer);
 
+// POST /api/user/word-answers/sync - Apply answers recorded offline, skipping replayed idempotency keys
+router.post('/word-answers/sync', UserProgressController.syncWordAnswers);
+
+// GET /api/user/reviews/due - Get words due for spaced-repetition review
+router.get('/reviews/due', ReviewController.getDueReviews);
+
+// POST /api/user/reviews/:wordProgressId/answer - Answer a review without moving current position
+router.post('/reviews/:wordProgressId/answer', ReviewController.submitReviewAnswer);
+
+// POST /api/user/dictionaries/:id/quizzes - Create a multiple-choice quiz (en_zh or zh_en)
+router.post('/dictionaries/:id/quizzes', QuizController.createQuiz);
+
+// GET /api/user/quizzes/:quizId - Get a quiz (answer key only after submission)
+router.get('/quizzes/:quizId', QuizController.getQuiz);
+
+// POST /api/user/quizzes/:quizId/submit - Submit answers for server-side grading
+router.post('/quizzes/:quizId/submit', QuizController.submitQuiz);
+
+// GET /api/user/study-sessions - List recent study sessions
+router.get('/study-sessions', StudySessionController.getStudySessions);
+
+// POST /api/user/study-sessions - Start a study session
+router.post('/study-sessions', StudySessionController.startStudySession);
+
+// GET /api/user/study-sessions/:id - Get a study session and its summary
+router.get('/study-sessions/:id', StudySessionController.getStudySession);
+
+// POST /api/user/study-sessions/:id/end - End a study session and get its summary
+router.post('/study-sessions/:id/end', StudySessionController.endStudySession);
+
+// GET /api/user/goals/today - Get today's progress against daily goals and the study streak
+router.get('/goals/today', GoalController.getTodayGoals);
+
+// GET /api/user/scheduler - Get the spaced-repetition scheduler in use
+router.get('/scheduler', ReviewController.getScheduler);
+
+// PUT /api/user/scheduler - Switch scheduler (sm2 or fsrs), migrating word state
+router.put('/scheduler', ReviewController.updateScheduler);
+
 module.exports = router; 
\ No newline at end of file
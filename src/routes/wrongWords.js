@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, tokenScopes } = require('../middleware/auth');
 const WrongWordsController = require('../controllers/WrongWordsController');
 
-// All routes require authentication
+// All routes require authentication; personal access tokens need the wrong-words scopes
+router.use(tokenScopes({ read: 'wrong-words:read', write: 'wrong-words:write' }));
 router.use(authenticate);
 
 // GET /api/wrong-words - Get user's wrong words across all dictionaries
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+// Mark accounts created before email verification existed as verified,
+// so enabling REQUIRE_EMAIL_VERIFICATION doesn't lock out existing learners
+async function main() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+    console.log(`✅ Marked ${result.modifiedCount} existing account(s) as verified`);
+  } catch (error) {
+    console.error('💥 Fatal error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Run script if called directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const AccountDataService = require('../services/AccountDataService');
+
+// Permanently delete accounts whose deletion grace period has ended
+async function main() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const purged = await AccountDataService.purgeDueAccounts();
+    console.log(`🗑️  Purged ${purged} account(s)`);
+  } catch (error) {
+    console.error('💥 Fatal error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Run script if called directly
+if (require.main === module) {
+  main();
+}
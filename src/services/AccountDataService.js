@@ -0,0 +1,221 @@
+const archiver = require('archiver');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const UserDictionary = require('../models/UserDictionary');
+const UserWordProgress = require('../models/UserWordProgress');
+const WrongWords = require('../models/WrongWords');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const UserToken = require('../models/UserToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const Quiz = require('../models/Quiz');
+const StudySession = require('../models/StudySession');
+const DailyActivity = require('../models/DailyActivity');
+const AnswerReceipt = require('../models/AnswerReceipt');
+const AnswerSnapshot = require('../models/AnswerSnapshot');
+const ProfileImageService = require('./ProfileImageService');
+const TokenService = require('./TokenService');
+const { toCsv } = require('../utils/csv');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class AccountDataService {
+  constructor() {
+    this.gracePeriodDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+    // Every collection holding per-user documents, keyed on user_id.
+    // Account deletion removes documents from all of them.
+    this.userCollections = [
+      UserDictionary,
+      UserWordProgress,
+      WrongWords,
+      Session,
+      RefreshToken,
+      UserToken,
+      PersonalAccessToken,
+      Quiz,
+      StudySession,
+      DailyActivity,
+      AnswerReceipt,
+      AnswerSnapshot
+    ];
+  }
+
+  /**
+   * Gather all of a user's records for export
+   */
+  async collectUserData(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const [
+      dictionaries, wordProgress, wrongWords, sessions, quizzes, studySessions, dailyActivity,
+      answerReceipts, answerSnapshots
+    ] = await Promise.all([
+      UserDictionary.find({ user_id: userId }).populate('dictionary_id', 'name display_name').lean(),
+      UserWordProgress.find({ user_id: userId }).lean(),
+      WrongWords.find({ user_id: userId }).lean(),
+      Session.find({ user_id: userId }).select('-family_id').lean(),
+      Quiz.find({ user_id: userId }).lean(),
+      StudySession.find({ user_id: userId }).lean(),
+      DailyActivity.find({ user_id: userId }).sort({ day: 1 }).lean(),
+      AnswerReceipt.find({ user_id: userId }).lean(),
+      AnswerSnapshot.find({ user_id: userId }).lean()
+    ]);
+
+    const profile = user.toPublicJSON();
+    delete profile.loginSecurity;
+
+    // Answer keys of quizzes still open stay on the server
+    quizzes
+      .filter(quiz => !quiz.submitted_at)
+      .forEach(quiz => quiz.questions.forEach(question => delete question.correct_option));
+
+    return {
+      profile, dictionaries, wordProgress, wrongWords, sessions, quizzes, studySessions, dailyActivity,
+      answerReceipts, answerSnapshots
+    };
+  }
+
+  /**
+   * Stream a ZIP archive of the user's data (JSON for everything, CSV for tables)
+   */
+  async streamExport(userId, output) {
+    const data = await this.collectUserData(userId);
+    const exportedAt = new Date();
+
+    const dictionaryRows = data.dictionaries.map(entry => ({
+      ...entry,
+      dictionary_name: entry.dictionary_id ? entry.dictionary_id.name : null
+    }));
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('warning', (error) => console.warn('Export archive warning:', error.message));
+
+    const finished = new Promise((resolve, reject) => {
+      archive.on('error', reject);
+      output.on('close', resolve);
+      output.on('finish', resolve);
+    });
+
+    archive.pipe(output);
+
+    const json = (value) => JSON.stringify(value, null, 2);
+    archive.append(json({
+      exportedAt,
+      userId: data.profile._id,
+      files: [
+        'profile.json',
+        'dictionaries.json', 'dictionaries.csv',
+        'word_progress.json', 'word_progress.csv',
+        'wrong_words.json', 'wrong_words.csv',
+        'sessions.json',
+        'quizzes.json',
+        'study_sessions.json',
+        'daily_activity.json', 'daily_activity.csv',
+        'synced_answers.json',
+        'undo_snapshots.json'
+      ]
+    }), { name: 'manifest.json' });
+    archive.append(json(data.profile), { name: 'profile.json' });
+    archive.append(json(data.dictionaries), { name: 'dictionaries.json' });
+    archive.append(toCsv(dictionaryRows, [
+      'dictionary_name', 'status', 'current_position', 'completed_words', 'total_words',
+      'correct_answers', 'wrong_answers', 'started_at', 'completed_at', 'last_accessed'
+    ]), { name: 'dictionaries.csv' });
+    archive.append(json(data.wordProgress), { name: 'word_progress.json' });
+    archive.append(toCsv(data.wordProgress, [
+      'dictionary_id', 'word', 'word_index', 'correct_attempts', 'wrong_attempts', 'mastery_level',
+      'is_mastered', 'manual_status', 'buried_until', 'first_learned', 'last_reviewed', 'next_review',
+      'spaced_repetition.interval', 'spaced_repetition.ease_factor', 'spaced_repetition.repetition',
+      'fsrs.stability', 'fsrs.difficulty'
+    ]), { name: 'word_progress.csv' });
+    archive.append(json(data.wrongWords), { name: 'wrong_words.json' });
+    archive.append(toCsv(data.wrongWords, [
+      'dictionary_id', 'word', 'error_count', 'review_priority', 'is_resolved',
+      'first_wrong_date', 'last_wrong_date', 'resolved_date', 'learning_notes.user_notes'
+    ]), { name: 'wrong_words.csv' });
+    archive.append(json(data.sessions), { name: 'sessions.json' });
+    archive.append(json(data.quizzes), { name: 'quizzes.json' });
+    archive.append(json(data.studySessions), { name: 'study_sessions.json' });
+    archive.append(json(data.dailyActivity), { name: 'daily_activity.json' });
+    archive.append(toCsv(data.dailyActivity, [
+      'day', 'dictionary_id', 'new_words', 'total_answers', 'correct_answers', 'mastered_words', 'study_time'
+    ]), { name: 'daily_activity.csv' });
+    archive.append(json(data.answerReceipts), { name: 'synced_answers.json' });
+    archive.append(json(data.answerSnapshots), { name: 'undo_snapshots.json' });
+
+    await archive.finalize();
+    await finished;
+  }
+
+  /**
+   * Schedule an account for deletion after the grace period and sign it out
+   * everywhere; cancelling means logging in again with the password
+   */
+  async requestDeletion(user) {
+    const now = new Date();
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = new Date(now.getTime() + this.gracePeriodDays * DAY);
+    await user.save({ validateBeforeSave: false });
+
+    await TokenService.revokeAllForUser(user._id);
+    await PersonalAccessToken.revokeAllForUser(user._id);
+    return user.deletionScheduledFor;
+  }
+
+  /**
+   * Cancel a pending deletion
+   */
+  async cancelDeletion(user) {
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    return user.save({ validateBeforeSave: false });
+  }
+
+  /**
+   * Permanently remove a user and everything that references them
+   */
+  async deleteUserData(userId) {
+    const user = await User.findById(userId);
+    if (!user) return false;
+
+    for (const Model of this.userCollections) {
+      await Model.deleteMany({ user_id: userId });
+    }
+
+    // References held by other users' documents
+    await User.updateMany({ teachers: userId }, { $pull: { teachers: userId } });
+    await Invitation.updateMany({ used_by: userId }, { $pull: { used_by: userId } });
+
+    if (user.profileImage) {
+      await ProfileImageService.deleteAvatar(user.profileImage);
+    }
+
+    await User.deleteOne({ _id: userId });
+    return true;
+  }
+
+  /**
+   * Delete every account whose grace period has ended
+   */
+  async purgeDueAccounts() {
+    const dueUsers = await User.find({
+      deletionScheduledFor: { $ne: null, $lte: new Date() }
+    }).select('_id');
+
+    let purged = 0;
+    for (const user of dueUsers) {
+      try {
+        if (await this.deleteUserData(user._id)) purged += 1;
+      } catch (error) {
+        console.error(`Failed to purge account ${user._id}:`, error.message);
+      }
+    }
+    return purged;
+  }
+}
+
+module.exports = new AccountDataService();
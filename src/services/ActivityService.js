@@ -0,0 +1,185 @@
+const User = require('../models/User');
+const UserWordProgress = require('../models/UserWordProgress');
+const DailyActivity = require('../models/DailyActivity');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, localDay, addDays } = require('../utils/localDay');
+
+class ActivityService {
+  /**
+   * The time zone whose midnight ends a user's study day
+   */
+  timeZoneOf(user) {
+    const timeZone = user && user.learningPreferences ? user.learningPreferences.timezone : null;
+    return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+  }
+
+  /**
+   * The user's local calendar day (YYYY-MM-DD) at the given moment
+   */
+  dayFor(user, date = new Date()) {
+    return localDay(date, this.timeZoneOf(user));
+  }
+
+  /**
+   * Streak as of the given moment; a streak survives until a whole local day passes without study
+   */
+  currentStreak(user, now = new Date()) {
+    const { currentStreak, lastStudyDate } = user.statistics || {};
+    if (!lastStudyDate) return 0;
+
+    const today = this.dayFor(user, now);
+    const lastDay = this.dayFor(user, lastStudyDate);
+    return lastDay >= addDays(today, -1) ? currentStreak : 0;
+  }
+
+  /**
+   * Count one answered word towards the day's activity and the user's streak and totals.
+   * The answer itself is already saved when this runs, so failures are logged, not thrown.
+   * Resolves to what changed ({ day, word_added, statistics_before }) so the answer can be undone.
+   */
+  async recordAnswer(user, { dictionaryId, word, isNew = false, isCorrect, wasMastered = false, isMastered = false, responseTime = 0, answeredAt = new Date() }) {
+    try {
+      const day = this.dayFor(user, answeredAt);
+
+      const dayBefore = await DailyActivity.recordAnswer(user._id, dictionaryId, day, {
+        word,
+        isNew,
+        isCorrect,
+        becameMastered: !wasMastered && isMastered,
+        responseTime
+      });
+
+      const statisticsBefore = await this.updateStatistics(user, day, {
+        answeredAt,
+        responseTime,
+        masteryChanged: wasMastered !== isMastered
+      });
+
+      return {
+        day,
+        word_added: !dayBefore || !dayBefore.words.includes(word),
+        statistics_before: statisticsBefore
+      };
+    } catch (error) {
+      console.error('Failed to record daily activity:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Reverse recordAnswer for an undone answer, given what it reported.
+   * The streak is only rolled back when the undone answer was the day's only study.
+   */
+  async undoAnswer(user, activity, { dictionaryId, word, isNew = false, isCorrect, wasMastered = false, isMastered = false, responseTime = 0 }) {
+    if (!activity) return;
+
+    try {
+      await DailyActivity.removeAnswer(user._id, dictionaryId, activity.day, {
+        word,
+        wordAdded: activity.word_added,
+        isNew,
+        isCorrect,
+        becameMastered: !wasMastered && isMastered,
+        responseTime
+      });
+
+      const set = {};
+      const update = {
+        $inc: { 'statistics.totalStudyTime': -Math.max(0, Number(responseTime) || 0) / 60000 }
+      };
+
+      if (wasMastered !== isMastered) {
+        set['statistics.totalWordsLearned'] = await UserWordProgress.countDocuments({ user_id: user._id, is_mastered: true });
+      }
+
+      const before = activity.statistics_before;
+      const current = await User.findById(user._id).select('statistics');
+      const startedDay = before && (!before.lastStudyDate || this.dayFor(user, before.lastStudyDate) < activity.day);
+      const lastDay = current && current.statistics.lastStudyDate ? this.dayFor(user, current.statistics.lastStudyDate) : null;
+
+      if (startedDay && lastDay === activity.day) {
+        const otherStudy = await DailyActivity.exists({ user_id: user._id, day: activity.day, total_answers: { $gt: 0 } });
+        if (!otherStudy) {
+          set['statistics.currentStreak'] = before.currentStreak;
+          set['statistics.longestStreak'] = before.longestStreak;
+          set['statistics.lastStudyDate'] = before.lastStudyDate;
+        }
+      }
+
+      if (Object.keys(set).length > 0) {
+        update.$set = set;
+      }
+      await User.updateOne({ _id: user._id }, update);
+    } catch (error) {
+      console.error('Failed to undo daily activity:', error.message);
+    }
+  }
+
+  /**
+   * Keep User.statistics in step with the answer just recorded; resolves to the statistics before
+   */
+  async updateStatistics(user, day, { answeredAt, responseTime, masteryChanged }) {
+    const current = await User.findById(user._id).select('statistics');
+    if (!current) return null;
+
+    const stats = current.statistics;
+    const statisticsBefore = {
+      currentStreak: stats.currentStreak,
+      longestStreak: stats.longestStreak,
+      lastStudyDate: stats.lastStudyDate
+    };
+    const update = {
+      // Offline answers can arrive out of order, so the date only moves forwards
+      $max: { 'statistics.lastStudyDate': answeredAt },
+      $inc: { 'statistics.totalStudyTime': Math.max(0, Number(responseTime) || 0) / 60000 }
+    };
+
+    if (masteryChanged) {
+      update.$set = {
+        'statistics.totalWordsLearned': await UserWordProgress.countDocuments({ user_id: user._id, is_mastered: true })
+      };
+    }
+
+    // Later answers of the day, and answers older than the last study day, leave the streak alone
+    const lastDay = stats.lastStudyDate ? this.dayFor(user, stats.lastStudyDate) : null;
+    if (lastDay && lastDay >= day) {
+      await User.updateOne({ _id: user._id }, update);
+      return statisticsBefore;
+    }
+
+    // First answer of the day: extend the streak if the previous study day was yesterday
+    const streak = lastDay === addDays(day, -1) ? stats.currentStreak + 1 : 1;
+    const dayStarted = await User.updateOne(
+      // Only the answer that still sees the old date starts the day, so concurrent answers count once
+      { _id: user._id, 'statistics.lastStudyDate': stats.lastStudyDate },
+      {
+        ...update,
+        $set: { ...update.$set, 'statistics.currentStreak': streak },
+        $max: { ...update.$max, 'statistics.longestStreak': streak }
+      }
+    );
+
+    if (dayStarted.matchedCount === 0) {
+      await User.updateOne({ _id: user._id }, update);
+    }
+    return statisticsBefore;
+  }
+
+  /**
+   * Recount the user's mastered words after mastery changed outside an answer
+   */
+  async refreshWordsLearned(userId) {
+    const count = await UserWordProgress.countDocuments({ user_id: userId, is_mastered: true });
+    await User.updateOne({ _id: userId }, { $set: { 'statistics.totalWordsLearned': count } });
+    return count;
+  }
+
+  /**
+   * Activity of a user on one local day, keyed by dictionary ID
+   */
+  async getDay(userId, day) {
+    const activities = await DailyActivity.find({ user_id: userId, day });
+    return new Map(activities.map(activity => [activity.dictionary_id.toString(), activity]));
+  }
+}
+
+module.exports = new ActivityService();
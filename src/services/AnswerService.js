@@ -0,0 +1,438 @@
+const UserDictionary = require('../models/UserDictionary');
+const UserWordProgress = require('../models/UserWordProgress');
+const WrongWords = require('../models/WrongWords');
+const StudySession = require('../models/StudySession');
+const AnswerSnapshot = require('../models/AnswerSnapshot');
+const DictionaryService = require('./DictionaryService');
+const GradingService = require('./GradingService');
+const ActivityService = require('./ActivityService');
+const ReviewQueueService = require('./ReviewQueueService');
+
+// Fields restored when an answer is undone
+const DICTIONARY_FIELDS = ['completed_words', 'correct_answers', 'wrong_answers', 'current_position', 'status', 'started_at', 'completed_at', 'last_accessed', 'session_stats'];
+const WORD_PROGRESS_FIELDS = ['correct_attempts', 'wrong_attempts', 'mastery_level', 'is_mastered', 'manual_status', 'buried_until', 'difficulty_rating', 'last_reviewed', 'next_review', 'spaced_repetition', 'fsrs', 'performance_metrics'];
+const WRONG_WORD_FIELDS = ['error_count', 'last_wrong_date', 'review_priority', 'is_resolved', 'resolved_date'];
+
+// Copy the given fields of a document as plain values
+const pick = (doc, fields) => {
+  const plain = doc.toObject({ virtuals: false });
+  return fields.reduce((result, field) => ({ ...result, [field]: plain[field] }), {});
+};
+
+/**
+ * Error raised when an answer cannot be applied.
+ * `status` is the HTTP status the controller should answer with; `details` is merged into the body.
+ */
+class AnswerError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'AnswerError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class AnswerService {
+  constructor() {
+    // How long after submitting an answer it can still be undone
+    this.undoWindowMs = (parseInt(process.env.UNDO_WINDOW_SECONDS) || 300) * 1000;
+  }
+
+  /**
+   * Grade a word answer and apply it to UserDictionary, UserWordProgress,
+   * WrongWords, the study session and daily activity.
+   * `answeredAt` lets answers recorded offline keep their own time; `beforeWrite`
+   * is awaited once everything is checked, right before the first write.
+   */
+  async submitAnswer(user, {
+    dictionaryId,
+    word,
+    wordIndex,
+    userAnswer,
+    mode = 'meaning',
+    responseTime = 0,
+    userDifficulty = null,
+    studySessionId = null
+  }, { answeredAt = new Date(), beforeWrite = null } = {}) {
+    const userId = user._id;
+
+    // Validation; correctness is graded here, never taken from the client
+    if (!dictionaryId || !word || typeof userAnswer !== 'string') {
+      throw new AnswerError('Missing required fields', 400, { required: ['dictionaryId', 'word', 'userAnswer'] });
+    }
+
+    if (!String(dictionaryId).match(/^[0-9a-fA-F]{24}$/)) {
+      throw new AnswerError('Invalid dictionary ID format');
+    }
+
+    if (!GradingService.modes.includes(mode)) {
+      throw new AnswerError('Invalid answer mode', 400, { allowed: GradingService.modes });
+    }
+
+    // Answers can be linked to an open study session
+    let studySession = null;
+    if (studySessionId) {
+      studySession = await StudySession.findActiveForUser(userId, studySessionId);
+      if (!studySession) {
+        throw new AnswerError('Study session not found or already ended', 404);
+      }
+    }
+
+    // Get user's dictionary progress
+    const userDictionary = await UserDictionary.findOne({
+      user_id: userId,
+      dictionary_id: dictionaryId
+    });
+
+    if (!userDictionary) {
+      throw new AnswerError('Dictionary progress not found', 404, { message: 'Please start the dictionary first' });
+    }
+
+    // Grade against the dictionary entry the answer is for
+    const reviewMode = userDictionary.settings.review_mode;
+    const parsedIndex = parseInt(wordIndex);
+    let answeredIndex = Number.isInteger(parsedIndex) ? parsedIndex : userDictionary.wordIndexAt(userDictionary.current_position);
+
+    // In review mode only queued words can be answered; without an index the head of the queue is meant
+    if (reviewMode) {
+      const queue = await ReviewQueueService.getQueue(userId, dictionaryId);
+
+      if (!Number.isInteger(parsedIndex)) {
+        const next = await ReviewQueueService.nextWord(dictionaryId, queue);
+        if (!next) {
+          throw new AnswerError('Review complete', 409, { review_complete: true });
+        }
+        answeredIndex = next.word.index;
+      } else if (!queue.some(entry => entry.word === word && entry.word_index === parsedIndex)) {
+        throw new AnswerError('Word is not in the review queue', 409, {
+          message: `"${word}" is neither an unresolved wrong word nor due for review`
+        });
+      }
+    }
+
+    if (answeredIndex < 0 || answeredIndex >= userDictionary.total_words) {
+      throw new AnswerError('Word index out of range', 400, {
+        message: `Word index must be between 0 and ${userDictionary.total_words - 1}`
+      });
+    }
+
+    let wordData;
+    try {
+      wordData = await DictionaryService.getWordByIndex(dictionaryId, answeredIndex);
+    } catch (error) {
+      throw new AnswerError('Word not found', 404, { message: error.message });
+    }
+
+    if (wordData.name !== word) {
+      throw new AnswerError('Word does not match the dictionary entry', 400, {
+        message: `Word at index ${answeredIndex} is not "${word}"`
+      });
+    }
+
+    const dictionary = await DictionaryService.getDictionaryById(dictionaryId);
+    const grading = GradingService.grade(wordData, userAnswer, mode, GradingService.optionsFor(dictionary));
+    const isCorrect = grading.isCorrect;
+
+    let wordProgress = await UserWordProgress.findOne({
+      user_id: userId,
+      dictionary_id: dictionaryId,
+      word: word
+    });
+
+    // Scheduling builds on the latest review, so an offline answer from before it can't be replayed
+    if (wordProgress && wordProgress.last_reviewed > answeredAt) {
+      throw new AnswerError('Answer is older than the latest review of this word', 409, {
+        last_reviewed: wordProgress.last_reviewed
+      });
+    }
+
+    if (beforeWrite) {
+      await beforeWrite();
+    }
+
+    // Update user dictionary progress
+    const dictionaryBefore = pick(userDictionary, DICTIONARY_FIELDS);
+    await userDictionary.updateProgress(isCorrect, responseTime);
+
+    // Create or update word progress
+    const isNewWord = !wordProgress;
+    const wasMastered = wordProgress ? wordProgress.is_mastered : false;
+    const wordProgressBefore = wordProgress ? pick(wordProgress, WORD_PROGRESS_FIELDS) : null;
+    const scheduler = user.learningPreferences.scheduler;
+
+    if (!wordProgress) {
+      wordProgress = new UserWordProgress({
+        user_id: userId,
+        dictionary_id: dictionaryId,
+        word: word,
+        word_index: answeredIndex,
+        correct_attempts: isCorrect ? 1 : 0,
+        wrong_attempts: isCorrect ? 0 : 1,
+        difficulty_rating: userDifficulty || 3
+      });
+    }
+    await wordProgress.recordAttempt(isCorrect, responseTime, userDifficulty, scheduler, answeredAt);
+
+    // If answer is wrong, add to wrong words collection; in review mode every answer is also a review
+    let wrongWordAdded = false;
+    let wrongWordSnapshot = { id: null };
+    if (!isCorrect) {
+      const errorType = mode === 'spelling' ? 'spelling' : 'meaning';
+      const correctAnswer = mode === 'spelling' ? wordData.name : (wordData.trans ? wordData.trans[0] : '');
+
+      let wrongWord = await WrongWords.findOne({
+        user_id: userId,
+        dictionary_id: dictionaryId,
+        word: word
+      });
+      wrongWordAdded = !wrongWord || wrongWord.is_resolved;
+
+      if (wrongWord) {
+        const before = pick(wrongWord, WRONG_WORD_FIELDS);
+        await wrongWord.addError(userAnswer, correctAnswer, errorType, '', grading.diagnosis);
+        if (reviewMode) {
+          await wrongWord.addReview(false, 'review_mode', responseTime);
+        }
+        wrongWordSnapshot = { id: wrongWord._id, created: false, before, error_added: true, review_added: reviewMode, updated_at: wrongWord.updatedAt };
+      } else {
+        wrongWord = new WrongWords({
+          user_id: userId,
+          dictionary_id: dictionaryId,
+          word: word,
+          word_data: wordData
+        });
+
+        await wrongWord.addError(userAnswer, correctAnswer, errorType, '', grading.diagnosis);
+        wrongWordSnapshot = { id: wrongWord._id, created: true, updated_at: wrongWord.updatedAt };
+      }
+    } else if (reviewMode) {
+      // A correct review counts towards resolving the wrong word
+      const wrongWord = await WrongWords.findOne({
+        user_id: userId,
+        dictionary_id: dictionaryId,
+        word: word,
+        is_resolved: false
+      });
+      if (wrongWord) {
+        const before = pick(wrongWord, WRONG_WORD_FIELDS);
+        await wrongWord.addReview(true, 'review_mode', responseTime);
+        wrongWordSnapshot = { id: wrongWord._id, created: false, before, error_added: false, review_added: true, updated_at: wrongWord.updatedAt };
+      }
+    }
+
+    let sessionAnswerId = null;
+    if (studySession) {
+      await studySession.recordAnswer({
+        dictionary_id: dictionaryId,
+        word,
+        source: 'study',
+        is_new: isNewWord,
+        is_correct: isCorrect,
+        response_time: responseTime,
+        became_mastered: !wasMastered && wordProgress.is_mastered,
+        wrong_word_added: wrongWordAdded
+      });
+      sessionAnswerId = studySession.answers[studySession.answers.length - 1]._id;
+    }
+
+    const activity = await ActivityService.recordAnswer(user, {
+      dictionaryId,
+      word,
+      isNew: isNewWord,
+      isCorrect,
+      wasMastered,
+      isMastered: wordProgress.is_mastered,
+      responseTime,
+      answeredAt
+    });
+
+    // Get next word (if available); review mode stays put and serves the next queued word
+    let nextWord = null;
+    let review = null;
+    if (reviewMode) {
+      const queue = await ReviewQueueService.getQueue(userId, dictionaryId);
+      const next = await ReviewQueueService.nextWord(dictionaryId, queue);
+      nextWord = next ? next.word : null;
+      review = next ? ReviewQueueService.formatEntry(next.entry, queue.length) : { remaining: 0 };
+    } else {
+      await userDictionary.advancePosition(await UserWordProgress.findMarkedIndexes(userId, dictionaryId));
+
+      if (userDictionary.current_position < userDictionary.total_words) {
+        try {
+          nextWord = await DictionaryService.getWordByIndex(dictionaryId, userDictionary.wordIndexAt(userDictionary.current_position));
+        } catch (error) {
+          // End of dictionary reached
+          nextWord = null;
+        }
+      }
+    }
+
+    // Taken after the position moved, so undo can tell whether the dictionary changed since
+    await this.saveSnapshot({
+      user_id: userId,
+      dictionary_id: dictionaryId,
+      word,
+      is_correct: isCorrect,
+      is_new: isNewWord,
+      response_time: responseTime,
+      answered_at: answeredAt,
+      user_dictionary: dictionaryBefore,
+      user_dictionary_updated_at: userDictionary.updatedAt,
+      word_progress: {
+        id: wordProgress._id,
+        created: isNewWord,
+        before: wordProgressBefore,
+        updated_at: wordProgress.updatedAt
+      },
+      wrong_word: wrongWordSnapshot,
+      study_session: { id: studySession ? studySession._id : null, answer_id: sessionAnswerId },
+      activity
+    });
+
+    return {
+      correct: isCorrect,
+      grading,
+      word_progress: {
+        mastery_level: wordProgress.mastery_level,
+        is_mastered: wordProgress.is_mastered,
+        total_attempts: wordProgress.total_attempts,
+        accuracy_percentage: wordProgress.accuracy_percentage
+      },
+      dictionary_progress: {
+        current_position: userDictionary.current_position,
+        completed_words: userDictionary.completed_words,
+        completion_percentage: userDictionary.completion_percentage,
+        accuracy_rate: userDictionary.accuracy_rate,
+        status: userDictionary.status
+      },
+      next_word: nextWord,
+      ...(reviewMode ? { review_complete: !nextWord, review } : {})
+    };
+  }
+
+  /**
+   * Keep what an answer changed so it can be undone. The answer is already
+   * applied, so a failed write only means it can't be undone.
+   */
+  async saveSnapshot(snapshot) {
+    try {
+      await AnswerSnapshot.create(snapshot);
+    } catch (error) {
+      console.error('Failed to save answer snapshot:', error.message);
+    }
+  }
+
+  /**
+   * Forget undo state of a dictionary once its position moved for another reason,
+   * so undoing an earlier answer can't rewind past that change
+   */
+  discardUndo(userId, dictionaryId) {
+    return AnswerSnapshot.deleteMany({ user_id: userId, dictionary_id: dictionaryId });
+  }
+
+  /**
+   * Revert the most recent answer in a dictionary if it is inside the undo window
+   */
+  async undoLastAnswer(user, dictionaryId) {
+    const userId = user._id;
+
+    if (!String(dictionaryId).match(/^[0-9a-fA-F]{24}$/)) {
+      throw new AnswerError('Invalid dictionary ID format');
+    }
+
+    const snapshot = await AnswerSnapshot.findOne({ user_id: userId, dictionary_id: dictionaryId }).sort({ created_at: -1 });
+    if (!snapshot || Date.now() - snapshot.created_at.getTime() > this.undoWindowMs) {
+      throw new AnswerError('Nothing to undo', 404, {
+        message: `Only an answer from the last ${Math.round(this.undoWindowMs / 1000)} seconds can be undone`
+      });
+    }
+
+    const [userDictionary, wordProgress, wrongWord] = await Promise.all([
+      UserDictionary.findOne({ user_id: userId, dictionary_id: dictionaryId }),
+      UserWordProgress.findById(snapshot.word_progress.id),
+      snapshot.wrong_word.id ? WrongWords.findById(snapshot.wrong_word.id) : null
+    ]);
+
+    // Refuse rather than lose a later change (e.g. a spaced-repetition review or a moved position)
+    const unchanged = (doc, updatedAt) => !!doc && !!updatedAt && doc.updatedAt.getTime() === updatedAt.getTime();
+    if (!unchanged(userDictionary, snapshot.user_dictionary_updated_at) ||
+        !unchanged(wordProgress, snapshot.word_progress.updated_at) ||
+        (snapshot.wrong_word.id && !unchanged(wrongWord, snapshot.wrong_word.updated_at))) {
+      throw new AnswerError('Answer can no longer be undone', 409, {
+        message: `Progress has changed since "${snapshot.word}" was answered`
+      });
+    }
+
+    // Claim the snapshot so a double undo can't roll back twice
+    const claimed = await AnswerSnapshot.findOneAndDelete({ _id: snapshot._id });
+    if (!claimed) {
+      throw new AnswerError('Nothing to undo', 404);
+    }
+
+    userDictionary.set(snapshot.user_dictionary);
+    await userDictionary.save();
+
+    // Scheduling state goes back as it was; the attempt leaves the learning history
+    const wasMastered = snapshot.word_progress.created ? false : snapshot.word_progress.before.is_mastered;
+    const isMastered = wordProgress.is_mastered;
+    if (snapshot.word_progress.created) {
+      await UserWordProgress.deleteOne({ _id: wordProgress._id });
+    } else {
+      await UserWordProgress.updateOne(
+        { _id: wordProgress._id },
+        { $set: snapshot.word_progress.before, $pop: { learning_history: 1 } }
+      );
+    }
+
+    if (wrongWord) {
+      if (snapshot.wrong_word.created) {
+        await WrongWords.deleteOne({ _id: wrongWord._id });
+      } else {
+        const pop = {};
+        if (snapshot.wrong_word.error_added) pop.error_details = 1;
+        if (snapshot.wrong_word.review_added) pop.review_history = 1;
+        await WrongWords.updateOne(
+          { _id: wrongWord._id },
+          { $set: snapshot.wrong_word.before, ...(Object.keys(pop).length > 0 ? { $pop: pop } : {}) }
+        );
+      }
+    }
+
+    if (snapshot.study_session.id) {
+      const studySession = await StudySession.findById(snapshot.study_session.id);
+      if (studySession) {
+        studySession.answers.pull(snapshot.study_session.answer_id);
+        if (studySession.ended_at) {
+          studySession.summary = studySession.buildSummary();
+        }
+        await studySession.save();
+      }
+    }
+
+    await ActivityService.undoAnswer(user, snapshot.activity, {
+      dictionaryId,
+      word: snapshot.word,
+      isNew: snapshot.is_new,
+      isCorrect: snapshot.is_correct,
+      wasMastered,
+      isMastered,
+      responseTime: snapshot.response_time
+    });
+
+    return {
+      word: snapshot.word,
+      was_correct: snapshot.is_correct,
+      answered_at: snapshot.answered_at,
+      dictionary_progress: {
+        current_position: userDictionary.current_position,
+        completed_words: userDictionary.completed_words,
+        completion_percentage: userDictionary.completion_percentage,
+        accuracy_rate: userDictionary.accuracy_rate,
+        status: userDictionary.status
+      }
+    };
+  }
+}
+
+module.exports = new AnswerService();
+module.exports.AnswerError = AnswerError;
@@ -0,0 +1,83 @@
+const AuditLog = require('../models/AuditLog');
+
+// Turn ObjectIds, Dates and documents into plain JSON values for storage
+const toPlain = (value) => {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+class AuditService {
+  /**
+   * Reduce before/after snapshots to the fields that actually changed
+   */
+  diff(before, after) {
+    if (!before || !after) {
+      return { before: toPlain(before), after: toPlain(after) };
+    }
+
+    const changes = { before: {}, after: {} };
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const key of keys) {
+      const oldValue = toPlain(before[key]);
+      const newValue = toPlain(after[key]);
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.before[key] = oldValue;
+        changes.after[key] = newValue;
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Record an action taken by the authenticated user (or the given actor).
+   * The change has already happened by the time this runs, so a failed write
+   * is logged, not thrown.
+   */
+  async record(req, { action, targetType, targetId, before = null, after = null, actor = req.user }) {
+    try {
+      return await AuditLog.create({
+        actor_id: actor._id,
+        actor_email: actor.email,
+        action,
+        target_type: targetType,
+        target_id: targetId,
+        changes: this.diff(before, after),
+        ip: req.ip,
+        user_agent: (req.get('User-Agent') || '').substring(0, 500)
+      });
+    } catch (error) {
+      console.error(`Failed to write audit log for ${action}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Query entries, newest first
+   */
+  async find({ actorId, targetType, targetId, from, to, page = 1, limit = 50 }) {
+    const filter = {};
+    if (actorId) filter.actor_id = actorId;
+    if (targetType) filter.target_type = targetType;
+    if (targetId) filter.target_id = targetId;
+    if (from || to) {
+      filter.created_at = {};
+      if (from) filter.created_at.$gte = from;
+      if (to) filter.created_at.$lte = to;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return { entries, total };
+  }
+}
+
+module.exports = new AuditService();
@@ -275,6 +275,37 @@ class DictionaryService {
     }
   }
 
+  /**
+   * Get every word of a dictionary, with its index
+   */
+  async getAllWords(dictionaryId) {
+    try {
+      const dictionary = await this.getDictionaryById(dictionaryId);
+      const cacheKey = `${dictionary.name}_words`;
+      
+      let wordsData;
+      if (this.wordCache.has(cacheKey)) {
+        wordsData = this.wordCache.get(cacheKey);
+      } else {
+        const filePath = path.join(this.dictPath, `${dictionary.name}.json`);
+        const fileContent = await fs.readFile(filePath, 'utf8');
+        wordsData = JSON.parse(fileContent);
+        
+        if (this.wordCache.size < 10) {
+          this.wordCache.set(cacheKey, wordsData);
+        }
+      }
+
+      return {
+        words: wordsData.map((word, index) => ({ ...word, index })),
+        dictionary
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to get dictionary words: ${error.message}`);
+    }
+  }
+
   /**
    * Get random words from dictionary
    */
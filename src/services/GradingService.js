@@ -0,0 +1,154 @@
+const { diagnoseSpelling, defaultNearMissThreshold } = require('../utils/spelling');
+
+// Separators between alternative meanings inside one trans entry
+const MEANING_SEPARATORS = /[，,；;、\/]+/;
+
+// Part-of-speech labels such as "(n.)", "vt." or "[adj.]"
+const POS_LABEL = /[\(（\[【]\s*(?:[a-z]+\.\s*)+[\)）\]】]|\b(?:[a-z]{1,5}\.\s*)+(?=[^\sa-z]|$)/gi;
+
+// Parenthesised notes such as "司空见惯的(事物)"
+const PARENTHESISED = /[\(（][^\)）]*[\)）]/g;
+
+class GradingService {
+  constructor() {
+    this.modes = ['spelling', 'meaning'];
+  }
+
+  /**
+   * Normalize free text for comparison: width, case, whitespace and punctuation
+   */
+  normalize(text) {
+    return String(text == null ? '' : text)
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/\.{3}/g, '…')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s.,;:!?。，；：！？]+|[\s.,;:!?。，；：！？]+$/g, '')
+      .trim();
+  }
+
+  /**
+   * Split a word's trans entries into the individual meanings a learner may answer with.
+   * Each meaning is returned with and without parenthesised notes.
+   */
+  getMeanings(word) {
+    const meanings = new Set();
+
+    for (const entry of word.trans || []) {
+      const withoutLabels = String(entry).replace(POS_LABEL, ' ');
+
+      for (const part of withoutLabels.split(MEANING_SEPARATORS)) {
+        const full = this.normalize(part.replace(/[\(（\)）]/g, ''));
+        const short = this.normalize(part.replace(PARENTHESISED, ''));
+        if (full) meanings.add(full);
+        if (short) meanings.add(short);
+      }
+    }
+
+    return [...meanings];
+  }
+
+  /**
+   * Compare two normalized Chinese meanings, ignoring spaces and a trailing 的
+   */
+  meaningsMatch(answer, meaning) {
+    const strip = (text) => text.replace(/\s/g, '').replace(/的$/, '');
+    return strip(answer) === strip(meaning);
+  }
+
+  /**
+   * Grading options configured on a dictionary
+   */
+  optionsFor(dictionary) {
+    const grading = (dictionary && dictionary.grading) || {};
+    return {
+      nearMissThreshold: grading.near_miss_threshold ?? null
+    };
+  }
+
+  /**
+   * Grade a spelling answer against the word itself. Answers within the
+   * near-miss threshold are still wrong, but get partial credit and a
+   * letter-by-letter diagnosis.
+   */
+  gradeSpelling(word, userAnswer, { nearMissThreshold = null } = {}) {
+    const answer = this.normalize(userAnswer);
+    const expected = this.normalize(word.name);
+
+    if (!answer) {
+      return { isCorrect: false, verdict: 'incorrect', reason: 'empty_answer', expected: word.name, score: 0 };
+    }
+
+    if (answer === expected) {
+      return { isCorrect: true, verdict: 'correct', reason: 'exact_match', expected: word.name, score: 1 };
+    }
+
+    const diagnosis = diagnoseSpelling(expected, answer);
+    const threshold = nearMissThreshold ?? defaultNearMissThreshold(expected);
+
+    if (diagnosis.distance <= threshold) {
+      return {
+        isCorrect: false,
+        verdict: 'near_miss',
+        reason: 'near_miss',
+        expected: word.name,
+        score: Math.round((1 - diagnosis.distance / expected.length) * 100) / 100,
+        diagnosis
+      };
+    }
+
+    return { isCorrect: false, verdict: 'incorrect', reason: 'spelling_mismatch', expected: word.name, score: 0, diagnosis };
+  }
+
+  /**
+   * Grade a meaning answer against the separated parts of each trans entry.
+   * Several meanings may be given; every one of them has to be right.
+   */
+  gradeMeaning(word, userAnswer) {
+    const meanings = this.getMeanings(word);
+    const expected = word.trans ? word.trans.join('; ') : '';
+    const answers = String(userAnswer == null ? '' : userAnswer)
+      .split(MEANING_SEPARATORS)
+      .map(part => this.normalize(part))
+      .filter(Boolean);
+
+    if (answers.length === 0) {
+      return { isCorrect: false, verdict: 'incorrect', reason: 'empty_answer', expected, score: 0 };
+    }
+
+    if (meanings.length === 0) {
+      return { isCorrect: false, verdict: 'incorrect', reason: 'no_reference_meaning', expected, score: 0 };
+    }
+
+    const unmatched = answers.filter(answer => !meanings.some(meaning => this.meaningsMatch(answer, meaning)));
+
+    if (unmatched.length === 0) {
+      return { isCorrect: true, verdict: 'correct', reason: 'meaning_match', expected, score: 1 };
+    }
+
+    return {
+      isCorrect: false,
+      verdict: 'incorrect',
+      reason: unmatched.length < answers.length ? 'partially_wrong_meaning' : 'meaning_mismatch',
+      expected,
+      score: 0
+    };
+  }
+
+  /**
+   * Grade an answer for a dictionary entry in the given mode
+   */
+  grade(word, userAnswer, mode = 'meaning', options = {}) {
+    if (!this.modes.includes(mode)) {
+      throw new Error(`Unknown grading mode: ${mode}`);
+    }
+
+    const result = mode === 'spelling'
+      ? this.gradeSpelling(word, userAnswer, options)
+      : this.gradeMeaning(word, userAnswer);
+
+    return { mode, ...result };
+  }
+}
+
+module.exports = new GradingService();
@@ -0,0 +1,174 @@
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+
+const SECOND = 1000;
+const DAY = 24 * 60 * 60 * SECOND;
+
+class LoginProtectionService {
+  constructor() {
+    // After `freeAttempts` failures every further failure doubles the wait,
+    // starting at `baseDelaySeconds` and capped at `maxLockSeconds` (the lockout)
+    this.accountPolicy = {
+      freeAttempts: parseInt(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS) || 5,
+      baseDelaySeconds: parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 30,
+      maxLockSeconds: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60
+    };
+    this.ipPolicy = {
+      freeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS) || 20,
+      baseDelaySeconds: parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 30,
+      maxLockSeconds: (parseInt(process.env.LOGIN_IP_LOCKOUT_MINUTES) || 60) * 60
+    };
+    // Failures older than this no longer count towards a lockout
+    this.failureWindowMs = DAY;
+  }
+
+  /**
+   * Lock duration in seconds after the given number of consecutive failures
+   */
+  computeLockSeconds(failedAttempts, policy) {
+    if (failedAttempts < policy.freeAttempts) return 0;
+    const delay = policy.baseDelaySeconds * Math.pow(2, failedAttempts - policy.freeAttempts);
+    return Math.min(delay, policy.maxLockSeconds);
+  }
+
+  /**
+   * Seconds until a lock expires, 0 if not locked
+   */
+  getRetryAfterSeconds(lockedUntil) {
+    if (!lockedUntil) return 0;
+    const remaining = new Date(lockedUntil).getTime() - Date.now();
+    return remaining > 0 ? Math.ceil(remaining / SECOND) : 0;
+  }
+
+  /**
+   * Seconds the given IP must wait before trying again
+   */
+  async checkIp(ip) {
+    if (!ip) return 0;
+    const throttle = await LoginThrottle.findByIp(ip);
+    return throttle ? this.getRetryAfterSeconds(throttle.locked_until) : 0;
+  }
+
+  /**
+   * Seconds the given account must wait before trying again
+   */
+  checkAccount(user) {
+    return this.getRetryAfterSeconds(user.loginSecurity && user.loginSecurity.lockedUntil);
+  }
+
+  /**
+   * Lockout details for display (admin views)
+   */
+  getAccountLockState(user) {
+    const security = user.loginSecurity || {};
+    const retryAfter = this.checkAccount(user);
+    return {
+      isLocked: retryAfter > 0,
+      lockedUntil: retryAfter > 0 ? security.lockedUntil : null,
+      retryAfterSeconds: retryAfter,
+      failedAttempts: security.failedAttempts || 0,
+      lastFailedAt: security.lastFailedAt || null
+    };
+  }
+
+  /**
+   * Record a failed login for the IP and, when known, the account.
+   * Counters are incremented atomically so parallel attempts all count.
+   */
+  async recordFailure(ip, user = null) {
+    const now = new Date();
+
+    if (ip) {
+      const throttle = await LoginThrottle.findOneAndUpdate(
+        { key: `ip:${ip}` },
+        {
+          $inc: { failed_attempts: 1 },
+          $set: { last_failed_at: now, expires_at: new Date(now.getTime() + this.failureWindowMs) }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      const lockSeconds = this.computeLockSeconds(throttle.failed_attempts, this.ipPolicy);
+      if (lockSeconds > 0) {
+        await LoginThrottle.updateOne(
+          { _id: throttle._id },
+          { $max: { locked_until: new Date(now.getTime() + lockSeconds * SECOND) } }
+        );
+      }
+    }
+
+    if (user) {
+      const security = await this.incrementAccountFailures(user._id, now);
+      if (!security) return;
+
+      const lockSeconds = this.computeLockSeconds(security.failedAttempts, this.accountPolicy);
+      if (lockSeconds > 0) {
+        await User.updateOne(
+          { _id: user._id },
+          { $max: { 'loginSecurity.lockedUntil': new Date(now.getTime() + lockSeconds * SECOND) } }
+        );
+      }
+    }
+  }
+
+  /**
+   * Count one more failure on an account; the count starts over once the
+   * previous failure is outside the window. Resolves to the new loginSecurity.
+   */
+  async incrementAccountFailures(userId, now = new Date()) {
+    const windowStart = new Date(now.getTime() - this.failureWindowMs);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const counted = await User.findOneAndUpdate(
+        { _id: userId, 'loginSecurity.lastFailedAt': { $gte: windowStart } },
+        { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } },
+        { new: true, projection: { loginSecurity: 1 } }
+      );
+      if (counted) return counted.loginSecurity;
+
+      // Only one request gets to restart an expired count; the others increment it
+      const restarted = await User.findOneAndUpdate(
+        {
+          _id: userId,
+          $or: [
+            { 'loginSecurity.lastFailedAt': null },
+            { 'loginSecurity.lastFailedAt': { $lt: windowStart } }
+          ]
+        },
+        { $set: { 'loginSecurity.failedAttempts': 1, 'loginSecurity.lastFailedAt': now } },
+        { new: true, projection: { loginSecurity: 1 } }
+      );
+      if (restarted) return restarted.loginSecurity;
+    }
+    return null;
+  }
+
+  /**
+   * Reset the account counters after a successful login
+   */
+  async recordSuccess(user) {
+    if (!user.loginSecurity.failedAttempts && !user.loginSecurity.lockedUntil) return;
+    await this.clearAccount(user);
+  }
+
+  /**
+   * Clear failed attempts and any lock on an account
+   */
+  async clearAccount(user) {
+    user.loginSecurity.failedAttempts = 0;
+    user.loginSecurity.lastFailedAt = null;
+    user.loginSecurity.lockedUntil = null;
+    return User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'loginSecurity.failedAttempts': 0,
+          'loginSecurity.lastFailedAt': null,
+          'loginSecurity.lockedUntil': null
+        }
+      }
+    );
+  }
+}
+
+module.exports = new LoginProtectionService();
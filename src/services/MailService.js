@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Default mail transport: writes every message as a JSON file to a local
+ * outbox directory instead of delivering it. Any object exposing
+ * `async send(message)` can replace it via MailService.setTransport().
+ */
+class OutboxTransport {
+  constructor(outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox')) {
+    this.outboxDir = outboxDir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(this.outboxDir, `${id}.json`);
+    await fs.writeFile(filePath, JSON.stringify({ id, ...message, createdAt: new Date() }, null, 2));
+
+    return { id, filePath };
+  }
+}
+
+class MailService {
+  constructor() {
+    this.transport = new OutboxTransport();
+    this.from = process.env.MAIL_FROM || 'VocaBin <no-reply@vocabin.app>';
+    this.appUrl = process.env.FRONTEND_URL || 'http://localhost:1234';
+  }
+
+  /**
+   * Replace the transport used to deliver messages
+   */
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Mail transport must implement send(message)');
+    }
+    this.transport = transport;
+  }
+
+  /**
+   * Send a message through the configured transport
+   */
+  async send({ to, subject, text, html = null }) {
+    if (!to || !subject || !text) {
+      throw new Error('Mail requires to, subject and text');
+    }
+
+    try {
+      return await this.transport.send({ from: this.from, to, subject, text, html });
+    } catch (error) {
+      throw new Error(`Failed to send mail: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send the password reset link for a user
+   */
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const resetUrl = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your VocaBin password',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'We received a request to reset your VocaBin password.',
+        `Open the link below within ${expiresInMinutes} minutes to choose a new one:`,
+        '',
+        resetUrl,
+        '',
+        'If you did not request this, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send the email address verification link for a user
+   */
+  async sendEmailVerification(user, token, expiresInHours) {
+    const verifyUrl = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your VocaBin email address',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Welcome to VocaBin! Please confirm your email address by opening the link below',
+        `within ${expiresInHours} hours:`,
+        '',
+        verifyUrl
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = new MailService();
+module.exports.OutboxTransport = OutboxTransport;
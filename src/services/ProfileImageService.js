@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+
+class ProfileImageService {
+  constructor() {
+    this.uploadRoot = path.join(process.cwd(), 'uploads');
+    this.avatarDir = 'avatars';
+    this.sizes = [64, 128, 256, 512];
+    this.allowedFormats = ['jpeg', 'png', 'webp', 'gif'];
+    this.maxInputPixels = 40 * 1000 * 1000; // Reject decompression bombs
+  }
+
+  /**
+   * Check the real image type from the file contents, not the declared mimetype
+   */
+  async validateImage(buffer) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer, { limitInputPixels: this.maxInputPixels }).metadata();
+    } catch (error) {
+      throw new Error('File is not a valid image');
+    }
+
+    if (!this.allowedFormats.includes(metadata.format)) {
+      throw new Error(`Unsupported image type. Allowed types: ${this.allowedFormats.join(', ')}`);
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Process an uploaded avatar into square thumbnails and return the stored key.
+   * Images are auto-rotated from their EXIF orientation and then written without
+   * any metadata, which strips EXIF (including GPS) from the output.
+   */
+  async processAvatar(userId, buffer) {
+    await this.validateImage(buffer);
+
+    const key = `${this.avatarDir}/${userId}/${Date.now()}`;
+    const dir = path.join(this.uploadRoot, this.avatarDir, userId.toString());
+    await fs.mkdir(dir, { recursive: true });
+
+    try {
+      for (const size of this.sizes) {
+        await sharp(buffer, { limitInputPixels: this.maxInputPixels, animated: false })
+          .rotate()
+          .resize(size, size, { fit: 'cover', position: 'attention' })
+          .webp({ quality: 85 })
+          .toFile(this.getFilePath(key, size));
+      }
+    } catch (error) {
+      await this.deleteAvatar(key);
+      throw new Error(`Failed to process image: ${error.message}`);
+    }
+
+    return key;
+  }
+
+  /**
+   * Remove every size of a stored avatar
+   */
+  async deleteAvatar(key) {
+    if (!key || !key.startsWith(`${this.avatarDir}/`)) return;
+
+    await Promise.all(this.sizes.map(async (size) => {
+      try {
+        await fs.unlink(this.getFilePath(key, size));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn('Failed to delete avatar file:', error.message);
+        }
+      }
+    }));
+  }
+
+  /**
+   * Absolute file path of one avatar size
+   */
+  getFilePath(key, size) {
+    return path.join(this.uploadRoot, `${key}-${size}.webp`);
+  }
+
+  /**
+   * Public URLs for every avatar size, keyed by pixel size
+   */
+  getUrls(key) {
+    if (!key || !key.startsWith(`${this.avatarDir}/`)) return null;
+
+    return this.sizes.reduce((urls, size) => {
+      urls[size] = `/uploads/${key}-${size}.webp`;
+      return urls;
+    }, {});
+  }
+}
+
+module.exports = new ProfileImageService();
@@ -0,0 +1,120 @@
+const DictionaryService = require('./DictionaryService');
+
+// Part-of-speech labels found as a prefix ("vt. 取消") or suffix ("取消 (vt.)") of trans entries
+const POS_PREFIX = /^\s*((?:[a-z]+\.\s*&?\s*)+)/i;
+const POS_SUFFIX = /[\(（]\s*((?:[a-z]+\.\s*&?\s*)+)[\)）]\s*$/i;
+
+// Spellings of the same part of speech used by different dictionaries
+const POS_ALIASES = {
+  'n.': 'n', 'v.': 'v', 'vt.': 'v', 'vi.': 'v', 'adj.': 'adj', 'a.': 'adj',
+  'adv.': 'adv', 'ad.': 'adv', 'prep.': 'prep', 'conj.': 'conj', 'pron.': 'pron',
+  'num.': 'num', 'int.': 'int', 'interj.': 'int', 'art.': 'art', 'aux.': 'aux'
+};
+
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+class QuizService {
+  constructor() {
+    this.optionCount = 4;
+    this.maxQuestions = 50;
+    this.ttlMs = 24 * 60 * 60 * 1000;
+    this.distractorSampleSize = 300; // Words inspected when looking for same-POS distractors
+  }
+
+  /**
+   * Parts of speech named in a word's trans entries, e.g. ['n', 'v']
+   */
+  getPartsOfSpeech(word) {
+    const parts = new Set();
+
+    for (const entry of word.trans || []) {
+      const match = String(entry).match(POS_PREFIX) || String(entry).match(POS_SUFFIX);
+      if (!match) continue;
+
+      for (const label of match[1].toLowerCase().match(/[a-z]+\./g) || []) {
+        if (POS_ALIASES[label]) parts.add(POS_ALIASES[label]);
+      }
+    }
+
+    return [...parts];
+  }
+
+  /**
+   * Text shown for a word's meaning
+   */
+  meaningOf(word) {
+    return (word.trans || []).join('; ');
+  }
+
+  /**
+   * Option text for a word in the given direction
+   */
+  optionFor(word, direction) {
+    return direction === 'en_zh' ? this.meaningOf(word) : word.name;
+  }
+
+  /**
+   * Pick distractors from the same dictionary, preferring words that share a
+   * part of speech with the answer so options can't be ruled out by grammar alone
+   */
+  pickDistractors(word, words, direction, count) {
+    const answerText = this.optionFor(word, direction);
+    const wordParts = this.getPartsOfSpeech(word);
+    const seen = new Set([answerText]);
+    const matching = [];
+    const others = [];
+
+    // Sample instead of shuffling the whole dictionary for every question
+    const candidates = words.length <= this.distractorSampleSize
+      ? shuffle(words)
+      : Array.from({ length: this.distractorSampleSize }, () => words[Math.floor(Math.random() * words.length)]);
+    for (const candidate of candidates) {
+      const text = this.optionFor(candidate, direction);
+      if (!text || candidate.name === word.name || seen.has(text)) continue;
+      seen.add(text);
+
+      const shared = wordParts.length > 0 &&
+        this.getPartsOfSpeech(candidate).some(part => wordParts.includes(part));
+      (shared ? matching : others).push(text);
+
+      if (matching.length >= count) break;
+    }
+
+    return [...matching, ...others].slice(0, count);
+  }
+
+  /**
+   * Build quiz questions with their answer key
+   */
+  async buildQuestions(dictionaryId, { count = 10, direction = 'en_zh' } = {}) {
+    const { words, dictionary } = await DictionaryService.getAllWords(dictionaryId);
+    const usable = words.filter(word => word.name && this.meaningOf(word));
+
+    const questionWords = shuffle(usable).slice(0, Math.min(count, this.maxQuestions));
+
+    const questions = questionWords.map(word => {
+      const answer = this.optionFor(word, direction);
+      const distractors = this.pickDistractors(word, usable, direction, this.optionCount - 1);
+      const options = shuffle([answer, ...distractors]);
+
+      return {
+        word: word.name,
+        word_index: word.index,
+        prompt: direction === 'en_zh' ? word.name : this.meaningOf(word),
+        options,
+        correct_option: options.indexOf(answer)
+      };
+    });
+
+    return { questions, dictionary };
+  }
+}
+
+module.exports = new QuizService();
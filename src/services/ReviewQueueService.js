@@ -0,0 +1,114 @@
+const UserWordProgress = require('../models/UserWordProgress');
+const WrongWords = require('../models/WrongWords');
+const DictionaryService = require('./DictionaryService');
+
+class ReviewQueueService {
+  constructor() {
+    // A word answered this recently goes behind the others, so the queue cycles
+    this.cooldownMs = 5 * 60 * 1000;
+  }
+
+  /**
+   * Words of a dictionary to review, most urgent first: unresolved wrong words
+   * (by urgency score, due ones first), then due words (most overdue, weakest first)
+   */
+  async getQueue(userId, dictionaryId, now = new Date()) {
+    const [wrongWords, dueProgress] = await Promise.all([
+      WrongWords.find({ user_id: userId, dictionary_id: dictionaryId, is_resolved: false }),
+      UserWordProgress.find({
+        user_id: userId,
+        dictionary_id: dictionaryId,
+        next_review: { $lte: now },
+        is_mastered: false
+      })
+    ]);
+
+    const progressByWord = new Map(dueProgress.map(progress => [progress.word, progress]));
+    const missing = wrongWords.map(wrongWord => wrongWord.word).filter(word => !progressByWord.has(word));
+    if (missing.length > 0) {
+      const wrongProgress = await UserWordProgress.find({ user_id: userId, dictionary_id: dictionaryId, word: { $in: missing } });
+      wrongProgress.forEach(progress => progressByWord.set(progress.word, progress));
+    }
+
+    const entries = new Map();
+    for (const wrongWord of wrongWords) {
+      const progress = progressByWord.get(wrongWord.word);
+      if (progress && progress.buried_until && progress.buried_until > now) continue;
+
+      const wordIndex = progress ? progress.word_index : (wrongWord.word_data || {}).index;
+      if (!Number.isInteger(wordIndex)) continue;
+
+      const lastReview = wrongWord.review_history.length > 0
+        ? wrongWord.review_history[wrongWord.review_history.length - 1].review_date
+        : wrongWord.last_wrong_date;
+
+      entries.set(wrongWord.word, {
+        word: wrongWord.word,
+        word_index: wordIndex,
+        is_wrong_word: true,
+        is_due: Boolean(progress && !progress.is_mastered && progress.next_review <= now),
+        urgency_score: wrongWord.urgency_score,
+        next_review: progress ? progress.next_review : null,
+        mastery_level: progress ? progress.mastery_level : 0,
+        last_reviewed: new Date(Math.max(lastReview, progress ? progress.last_reviewed : 0))
+      });
+    }
+
+    for (const progress of dueProgress) {
+      if (entries.has(progress.word)) continue;
+      entries.set(progress.word, {
+        word: progress.word,
+        word_index: progress.word_index,
+        is_wrong_word: false,
+        is_due: true,
+        urgency_score: 0,
+        next_review: progress.next_review,
+        mastery_level: progress.mastery_level,
+        last_reviewed: progress.last_reviewed
+      });
+    }
+
+    const rank = (entry) => (entry.is_wrong_word ? (entry.is_due ? 0 : 1) : 2);
+    const isRecent = (entry) => (now - entry.last_reviewed < this.cooldownMs ? 1 : 0);
+
+    return [...entries.values()].sort((a, b) =>
+      isRecent(a) - isRecent(b) ||
+      rank(a) - rank(b) ||
+      b.urgency_score - a.urgency_score ||
+      (a.next_review || now) - (b.next_review || now) ||
+      a.mastery_level - b.mastery_level
+    );
+  }
+
+  /**
+   * Shape a queue entry for the client
+   */
+  formatEntry(entry, remaining) {
+    return {
+      reasons: [entry.is_wrong_word && 'wrong_word', entry.is_due && 'due'].filter(Boolean),
+      urgency_score: entry.urgency_score,
+      next_review: entry.next_review,
+      remaining
+    };
+  }
+
+  /**
+   * First queue entry whose dictionary word still matches, with the word data
+   */
+  async nextWord(dictionaryId, queue) {
+    for (const entry of queue) {
+      let word;
+      try {
+        word = await DictionaryService.getWordByIndex(dictionaryId, entry.word_index);
+      } catch (error) {
+        continue;
+      }
+      if (word.name === entry.word) {
+        return { entry, word };
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = new ReviewQueueService();
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { generateAccessToken, generateRefreshToken, verifyToken } = require('../utils/jwt');
+
+/**
+ * Error raised when a refresh token cannot be exchanged.
+ * `status` is the HTTP status the controller should answer with.
+ */
+class RefreshTokenError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.status = status;
+  }
+}
+
+// Client details recorded on a session
+const getClientInfo = (req) => ({
+  ip: req ? req.ip : null,
+  userAgent: req ? (req.get('User-Agent') || '') : ''
+});
+
+class TokenService {
+  /**
+   * Start a new device session for a user and issue its first token pair.
+   * `mfaVerified` records that the login passed a second factor.
+   */
+  async startSession(user, req = null, { mfaVerified = false } = {}) {
+    const { ip, userAgent } = getClientInfo(req);
+
+    const session = await Session.create({
+      user_id: user._id,
+      family_id: crypto.randomUUID(),
+      user_agent: userAgent.substring(0, 500),
+      ip,
+      mfa_verified: mfaVerified,
+      last_seen_at: new Date(),
+      expires_at: new Date() // Set from the refresh token below
+    });
+
+    return this.issueTokens(user, session);
+  }
+
+  /**
+   * Issue an access token and a stored refresh token for a session.
+   * The session's expiry follows its newest refresh token.
+   */
+  async issueTokens(user, session) {
+    const refreshToken = generateRefreshToken(user, session.family_id);
+    const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+    await RefreshToken.create({
+      user_id: user._id,
+      token_hash: RefreshToken.hashToken(refreshToken),
+      family_id: session.family_id,
+      expires_at: expiresAt
+    });
+
+    session.expires_at = expiresAt;
+    await session.save();
+
+    return {
+      accessToken: generateAccessToken(user, session._id),
+      refreshToken,
+      expiresIn: '24h',
+      tokenType: 'Bearer',
+      sessionId: session._id,
+      user: user.toPublicJSON()
+    };
+  }
+
+  /**
+   * Validate a refresh token and return its decoded payload and stored record.
+   * Presenting a token that was already rotated or revoked is treated as
+   * reuse: the whole family is revoked so a stolen token cannot be replayed.
+   */
+  async consumeRefreshToken(refreshToken) {
+    let decoded;
+    try {
+      decoded = verifyToken(refreshToken);
+    } catch (error) {
+      throw new RefreshTokenError('Invalid or expired refresh token');
+    }
+
+    if (decoded.type !== 'refresh') {
+      throw new RefreshTokenError('Invalid token type');
+    }
+
+    const stored = await RefreshToken.findByToken(refreshToken);
+    if (!stored) {
+      throw new RefreshTokenError('Refresh token not recognised');
+    }
+
+    if (stored.revoked_at) {
+      if (stored.revoked_reason === 'rotated') {
+        await this.revokeFamily(stored.family_id, 'reuse_detected');
+        console.warn(`Refresh token reuse detected for user ${stored.user_id}, family ${stored.family_id} revoked`);
+      }
+      throw new RefreshTokenError('Refresh token has been revoked');
+    }
+
+    return { decoded, stored };
+  }
+
+  /**
+   * Exchange a valid refresh token for a new token pair in the same family,
+   * recording the refresh as activity on the device session.
+   */
+  async rotateRefreshToken(stored, user, req = null) {
+    const { ip, userAgent } = getClientInfo(req);
+
+    let session = await Session.findOne({ family_id: stored.family_id });
+    if (session && session.revoked_at) {
+      await stored.revoke('logout');
+      throw new RefreshTokenError('Session has been revoked');
+    }
+
+    if (!session) {
+      // Tokens issued before sessions existed get one on first refresh
+      session = new Session({
+        user_id: user._id,
+        family_id: stored.family_id,
+        expires_at: stored.expires_at
+      });
+    }
+    session.last_seen_at = new Date();
+    if (ip) session.ip = ip;
+    if (userAgent) session.user_agent = userAgent.substring(0, 500);
+
+    // Claim the token before issuing, so of two concurrent refreshes only one succeeds;
+    // the other presented a token that is already rotated, which is reuse
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: 'rotated' } }
+    );
+    if (!claimed) {
+      await this.revokeFamily(stored.family_id, 'reuse_detected');
+      console.warn(`Refresh token reuse detected for user ${stored.user_id}, family ${stored.family_id} revoked`);
+      throw new RefreshTokenError('Refresh token has been revoked');
+    }
+
+    const tokenResponse = await this.issueTokens(user, session);
+    await RefreshToken.updateOne(
+      { _id: stored._id },
+      { $set: { replaced_by: RefreshToken.hashToken(tokenResponse.refreshToken) } }
+    );
+    return tokenResponse;
+  }
+
+  /**
+   * Revoke a refresh token family and the session that owns it
+   */
+  async revokeFamily(familyId, reason = 'logout') {
+    const result = await RefreshToken.revokeFamily(familyId, reason);
+    await Session.revokeByFamily(familyId);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke the family a refresh token belongs to (single device logout).
+   * Tokens that are unknown or belong to another user are ignored.
+   */
+  async revokeRefreshToken(refreshToken, userId) {
+    const stored = await RefreshToken.findByToken(refreshToken);
+    if (!stored || stored.user_id.toString() !== userId.toString()) {
+      return 0;
+    }
+
+    return this.revokeFamily(stored.family_id, 'logout');
+  }
+
+  /**
+   * Revoke one of a user's sessions together with its refresh tokens.
+   * Returns false when the session doesn't exist or isn't theirs.
+   */
+  async revokeSession(sessionId, userId) {
+    const session = await Session.findOne({ _id: sessionId, user_id: userId });
+    if (!session) {
+      return false;
+    }
+
+    await RefreshToken.revokeFamily(session.family_id, 'logout');
+    if (!session.revoked_at) {
+      await session.revoke();
+    }
+    return true;
+  }
+
+  /**
+   * Revoke every refresh token family and session belonging to a user
+   */
+  async revokeAllForUser(userId) {
+    const result = await RefreshToken.revokeAllForUser(userId, 'logout_all');
+    await Session.revokeAllForUser(userId);
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new TokenService();
+module.exports.RefreshTokenError = RefreshTokenError;
@@ -0,0 +1,170 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Default FSRS v4 model weights
+const W = [0.4, 0.6, 2.4, 5.8, 4.93, 0.94, 0.86, 0.01, 1.49, 0.14, 0.94, 2.18, 0.05, 0.34, 1.26, 0.29, 2.61];
+
+const REQUEST_RETENTION = 0.9;
+const MAX_INTERVAL_DAYS = 36500;
+
+const RATING = { AGAIN: 1, HARD: 2, GOOD: 3, EASY: 4 };
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Map an answer to an FSRS rating. userDifficulty uses the same 1 (easy) to
+ * 5 (hard) scale as the rest of the app.
+ */
+const ratingFor = (isCorrect, userDifficulty = null) => {
+  if (!isCorrect) return RATING.AGAIN;
+  if (!userDifficulty || userDifficulty === 3) return RATING.GOOD;
+  return userDifficulty < 3 ? RATING.EASY : RATING.HARD;
+};
+
+const initialDifficulty = (rating) => clamp(W[4] - (rating - 3) * W[5], 1, 10);
+
+// Probability of recall after elapsedDays for a memory of the given stability
+const retrievability = (elapsedDays, stability) => Math.pow(1 + elapsedDays / (9 * stability), -1);
+
+// Days until retrievability drops to the requested retention
+const intervalFor = (stability) => {
+  const interval = 9 * stability * (1 / REQUEST_RETENTION - 1);
+  return clamp(Math.round(interval), 1, MAX_INTERVAL_DAYS);
+};
+
+/**
+ * Apply one review to an FSRS state ({ stability, difficulty, lapses }).
+ * Returns a new state; a null state means the word has never been reviewed.
+ */
+const nextState = (state, rating, elapsedDays) => {
+  if (!state) {
+    return {
+      stability: W[rating - 1],
+      difficulty: initialDifficulty(rating),
+      lapses: rating === RATING.AGAIN ? 1 : 0
+    };
+  }
+  
+  const { stability, difficulty } = state;
+  const recall = retrievability(Math.max(elapsedDays, 0), stability);
+  
+  // Difficulty moves with the rating and reverts slightly towards the default
+  const shifted = difficulty - W[6] * (rating - 3);
+  const nextDifficulty = clamp(W[7] * initialDifficulty(RATING.GOOD) + (1 - W[7]) * shifted, 1, 10);
+  
+  let nextStability;
+  if (rating === RATING.AGAIN) {
+    nextStability = W[11] *
+      Math.pow(difficulty, -W[12]) *
+      (Math.pow(stability + 1, W[13]) - 1) *
+      Math.exp(W[14] * (1 - recall));
+  } else {
+    const hardPenalty = rating === RATING.HARD ? W[15] : 1;
+    const easyBonus = rating === RATING.EASY ? W[16] : 1;
+    nextStability = stability * (1 +
+      Math.exp(W[8]) *
+      (11 - difficulty) *
+      Math.pow(stability, -W[9]) *
+      (Math.exp(W[10] * (1 - recall)) - 1) *
+      hardPenalty *
+      easyBonus);
+  }
+  
+  return {
+    stability: Math.max(nextStability, 0.1),
+    difficulty: nextDifficulty,
+    lapses: state.lapses + (rating === RATING.AGAIN ? 1 : 0)
+  };
+};
+
+/**
+ * Rebuild FSRS state by replaying a word's learning_history.
+ * Returns null when there is no history to replay.
+ */
+const deriveState = (learningHistory = []) => {
+  const attempts = [...learningHistory].sort((a, b) => new Date(a.attempt_date) - new Date(b.attempt_date));
+  
+  let state = null;
+  let lastReview = null;
+  let repetition = 0;
+  for (const attempt of attempts) {
+    const reviewedAt = new Date(attempt.attempt_date);
+    const elapsedDays = lastReview ? (reviewedAt - lastReview) / DAY : 0;
+    const rating = ratingFor(attempt.was_correct, attempt.difficulty_after);
+    
+    state = nextState(state, rating, elapsedDays);
+    repetition = attempt.was_correct ? repetition + 1 : 0;
+    lastReview = reviewedAt;
+  }
+  
+  return state ? { ...state, last_review: lastReview, repetition } : null;
+};
+
+/**
+ * Write an FSRS state onto a UserWordProgress document, including the shared
+ * interval/repetition fields and next_review
+ */
+const applyState = (progress, state, reviewedAt) => {
+  const interval = intervalFor(state.stability);
+  
+  progress.fsrs.stability = state.stability;
+  progress.fsrs.difficulty = state.difficulty;
+  progress.fsrs.lapses = state.lapses;
+  progress.fsrs.last_review = reviewedAt;
+  progress.spaced_repetition.interval = interval;
+  progress.next_review = new Date(reviewedAt.getTime() + interval * DAY);
+};
+
+/**
+ * FSRS-style scheduling with per-word stability and difficulty.
+ * Words scheduled by SM-2 so far are migrated from their history first.
+ */
+const schedule = (progress, { isCorrect, userDifficulty = null, reviewedAt = new Date() }) => {
+  let state = null;
+  let lastReview = null;
+  
+  if (progress.fsrs && progress.fsrs.stability) {
+    state = {
+      stability: progress.fsrs.stability,
+      difficulty: progress.fsrs.difficulty,
+      lapses: progress.fsrs.lapses || 0
+    };
+    lastReview = progress.fsrs.last_review;
+  } else {
+    const derived = deriveState(progress.learning_history);
+    if (derived) {
+      state = derived;
+      lastReview = derived.last_review;
+    }
+  }
+  
+  const elapsedDays = lastReview ? (reviewedAt - new Date(lastReview)) / DAY : 0;
+  const next = nextState(state, ratingFor(isCorrect, userDifficulty), elapsedDays);
+  
+  applyState(progress, next, reviewedAt);
+  progress.spaced_repetition.repetition = isCorrect ? progress.spaced_repetition.repetition + 1 : 0;
+};
+
+/**
+ * Rebuild a word's FSRS state from its history without recording a review.
+ * Replaying gives the same result as incremental scheduling, so state left
+ * over from an earlier switch is simply recomputed. Returns false when the
+ * word has no history.
+ */
+const migrate = (progress) => {
+  const derived = deriveState(progress.learning_history);
+  if (!derived) return false;
+  
+  applyState(progress, derived, derived.last_review);
+  progress.spaced_repetition.repetition = derived.repetition;
+  return true;
+};
+
+module.exports = {
+  name: 'fsrs',
+  schedule,
+  migrate,
+  deriveState,
+  ratingFor,
+  retrievability,
+  intervalFor
+};
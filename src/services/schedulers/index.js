@@ -0,0 +1,29 @@
+const sm2 = require('./sm2');
+const fsrs = require('./fsrs');
+
+/**
+ * Spaced-repetition schedulers by name. Each exposes
+ * schedule(progress, { isCorrect, userDifficulty, reviewedAt }), which updates
+ * a UserWordProgress document's schedule in place, and optionally
+ * migrate(progress), which prepares a word previously scheduled by another
+ * algorithm.
+ */
+const SCHEDULERS = {
+  sm2,
+  fsrs
+};
+
+const DEFAULT_SCHEDULER = 'sm2';
+
+const SCHEDULER_NAMES = Object.keys(SCHEDULERS);
+
+// Look up a scheduler, falling back to the default for unknown names
+const getScheduler = (name) => {
+  return SCHEDULERS[name] || SCHEDULERS[DEFAULT_SCHEDULER];
+};
+
+module.exports = {
+  DEFAULT_SCHEDULER,
+  SCHEDULER_NAMES,
+  getScheduler
+};
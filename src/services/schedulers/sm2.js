@@ -0,0 +1,37 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Simplified SM-2: fixed 1- and 6-day first steps, then interval × ease factor.
+ * State lives in progress.spaced_repetition.
+ */
+const schedule = (progress, { isCorrect, userDifficulty = null, reviewedAt = new Date() }) => {
+  const sr = progress.spaced_repetition;
+  
+  if (isCorrect) {
+    if (sr.repetition === 0) {
+      sr.interval = 1;
+    } else if (sr.repetition === 1) {
+      sr.interval = 6;
+    } else {
+      sr.interval = Math.round(sr.interval * sr.ease_factor);
+    }
+    sr.repetition += 1;
+  } else {
+    sr.repetition = 0;
+    sr.interval = 1;
+  }
+  
+  // Adjust ease factor based on user difficulty rating
+  if (userDifficulty) {
+    const difficultyAdjustment = (3 - userDifficulty) * 0.15;
+    sr.ease_factor = Math.max(1.3, sr.ease_factor + difficultyAdjustment);
+  }
+  
+  // Set next review date
+  progress.next_review = new Date(reviewedAt.getTime() + sr.interval * DAY);
+};
+
+module.exports = {
+  name: 'sm2',
+  schedule
+};
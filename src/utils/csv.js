@@ -0,0 +1,39 @@
+// Escape a single CSV cell (RFC 4180)
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value.toHexString === 'function') {
+    text = value.toHexString(); // ObjectId
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Read a dotted path such as 'session_stats.total_study_time' from an object
+const getPath = (object, pathString) => {
+  return pathString.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+};
+
+// Convert rows to CSV text using the given column paths as headers
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(escapeCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(getPath(row, column))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeCell,
+  toCsv
+};
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 // Generate JWT token
 const generateToken = (payload, expiresIn = '7d') => {
@@ -14,8 +15,8 @@ const verifyToken = (token) => {
   }
 };
 
-// Generate access token for user
-const generateAccessToken = (user) => {
+// Generate access token for user, bound to a device session when given
+const generateAccessToken = (user, sessionId = null) => {
   const payload = {
     userId: user._id,
     email: user.email,
@@ -23,19 +24,47 @@ const generateAccessToken = (user) => {
     firstName: user.firstName,
     lastName: user.lastName
   };
+  if (sessionId) {
+    payload.sessionId = sessionId;
+  }
   return generateToken(payload, '24h');
 };
 
 // Generate refresh token for user
-const generateRefreshToken = (user) => {
+// familyId ties rotated tokens together, jti makes every token unique
+const generateRefreshToken = (user, familyId) => {
   const payload = {
     userId: user._id,
     email: user.email,
-    type: 'refresh'
+    type: 'refresh',
+    familyId,
+    jti: crypto.randomUUID()
   };
   return generateToken(payload, '7d');
 };
 
+// Generate short-lived token proving the password step of a two-factor login
+const generatePreAuthToken = (user) => {
+  const payload = {
+    userId: user._id,
+    type: 'pre_auth'
+  };
+  return generateToken(payload, '5m');
+};
+
+// Generate short-lived, read-only access token letting an admin act as a user
+const generateImpersonationToken = (user, impersonator, expiresIn = '15m') => {
+  const payload = {
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    type: 'impersonation',
+    impersonatorId: impersonator._id,
+    jti: crypto.randomUUID()
+  };
+  return generateToken(payload, expiresIn);
+};
+
 // Extract token from Authorization header
 const extractToken = (authHeader) => {
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -44,25 +73,12 @@ const extractToken = (authHeader) => {
   return authHeader.substring(7);
 };
 
-// Generate token response object
-const generateTokenResponse = (user) => {
-  const accessToken = generateAccessToken(user);
-  const refreshToken = generateRefreshToken(user);
-  
-  return {
-    accessToken,
-    refreshToken,
-    expiresIn: '24h',
-    tokenType: 'Bearer',
-    user: user.toPublicJSON()
-  };
-};
-
 module.exports = {
   generateToken,
   verifyToken,
   generateAccessToken,
   generateRefreshToken,
-  extractToken,
-  generateTokenResponse
+  generatePreAuthToken,
+  generateImpersonationToken,
+  extractToken
 }; 
\ No newline at end of file
@@ -0,0 +1,41 @@
+// Calendar-day helpers that respect a learner's IANA time zone (e.g. "Asia/Shanghai")
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Check a time zone name against the runtime's tz database
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Local calendar day of a moment as YYYY-MM-DD; unknown zones fall back to UTC
+const localDay = (date = new Date(), timeZone = DEFAULT_TIME_ZONE) => {
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: zone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date(date));
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+// Shift a YYYY-MM-DD day by a number of days
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().substring(0, 10);
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  localDay,
+  addDays
+};
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// New 32-bit seed for a stored word order
+const randomSeed = () => crypto.randomBytes(4).readUInt32BE(0);
+
+// mulberry32: small, fast PRNG so the same seed always gives the same sequence
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle of a copy of the array, reproducible for a given seed
+const seededShuffle = (items, seed) => {
+  const random = seededRandom(seed);
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+module.exports = {
+  randomSeed,
+  seededRandom,
+  seededShuffle
+};
@@ -0,0 +1,100 @@
+/**
+ * Spelling diagnosis based on optimal string alignment distance
+ * (Levenshtein distance plus swaps of adjacent letters).
+ */
+
+// Build the distance table between expected and actual
+const buildTable = (expected, actual) => {
+  const rows = expected.length + 1;
+  const cols = actual.length + 1;
+  const table = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = 0; i < rows; i++) table[i][0] = i;
+  for (let j = 0; j < cols; j++) table[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = expected[i - 1] === actual[j - 1] ? 0 : 1;
+      table[i][j] = Math.min(
+        table[i - 1][j] + 1, // missing letter
+        table[i][j - 1] + 1, // extra letter
+        table[i - 1][j - 1] + cost // same or wrong letter
+      );
+
+      if (i > 1 && j > 1 && expected[i - 1] === actual[j - 2] && expected[i - 2] === actual[j - 1]) {
+        table[i][j] = Math.min(table[i][j], table[i - 2][j - 2] + 1); // swapped letters
+      }
+    }
+  }
+
+  return table;
+};
+
+// Walk the table back from the end to list the edits, in word order
+const traceEdits = (expected, actual, table) => {
+  const edits = [];
+  let i = expected.length;
+  let j = actual.length;
+
+  while (i > 0 || j > 0) {
+    const current = table[i][j];
+
+    if (i > 0 && j > 0 && expected[i - 1] === actual[j - 1] && current === table[i - 1][j - 1]) {
+      i -= 1;
+      j -= 1;
+    } else if (i > 1 && j > 1 && expected[i - 1] === actual[j - 2] && expected[i - 2] === actual[j - 1] &&
+      current === table[i - 2][j - 2] + 1) {
+      edits.push({ type: 'swapped', position: i - 2, expected: expected.slice(i - 2, i), actual: actual.slice(j - 2, j) });
+      i -= 2;
+      j -= 2;
+    } else if (i > 0 && j > 0 && current === table[i - 1][j - 1] + 1) {
+      edits.push({ type: 'wrong', position: i - 1, expected: expected[i - 1], actual: actual[j - 1] });
+      i -= 1;
+      j -= 1;
+    } else if (i > 0 && current === table[i - 1][j] + 1) {
+      edits.push({ type: 'missing', position: i - 1, expected: expected[i - 1], actual: null });
+      i -= 1;
+    } else {
+      edits.push({ type: 'extra', position: i, expected: null, actual: actual[j - 1] });
+      j -= 1;
+    }
+  }
+
+  return edits.reverse();
+};
+
+/**
+ * Compare an attempted spelling with the expected word. Positions refer to
+ * letters of the expected word.
+ */
+const diagnoseSpelling = (expected, actual) => {
+  const table = buildTable(expected, actual);
+  const edits = traceEdits(expected, actual, table);
+  const ofType = (type) => edits
+    .filter(edit => edit.type === type)
+    .map(({ position, expected: expectedLetters, actual: actualLetters }) => ({
+      position,
+      expected: expectedLetters,
+      actual: actualLetters
+    }));
+
+  return {
+    distance: table[expected.length][actual.length],
+    wrong_letters: ofType('wrong'),
+    missing_letters: ofType('missing'),
+    extra_letters: ofType('extra'),
+    swapped_letters: ofType('swapped')
+  };
+};
+
+// Default near-miss allowance when a dictionary doesn't set one
+const defaultNearMissThreshold = (word) => {
+  if (word.length <= 3) return 0;
+  if (word.length <= 7) return 1;
+  return 2;
+};
+
+module.exports = {
+  diagnoseSpelling,
+  defaultNearMissThreshold
+};
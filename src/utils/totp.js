@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s steps)
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode a buffer as RFC 4648 base32 without padding
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Decode RFC 4648 base32, ignoring case, spaces and padding
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Generate a new random base32 secret
+const generateSecret = (size = 20) => {
+  return base32Encode(crypto.randomBytes(size));
+};
+
+// Current time step
+const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / STEP_SECONDS);
+};
+
+// Generate the code for a secret at a given time step
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, DIGITS);
+
+  return binary.toString().padStart(DIGITS, '0');
+};
+
+// Verify a code, allowing `window` steps of clock drift either way.
+// Returns the matched time step, or null. Steps at or before
+// `lastUsedStep` are rejected so a code can't be replayed.
+const verifyCode = (secret, code, { window = 1, lastUsedStep = null } = {}) => {
+  if (!secret || !code) return null;
+
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Build the otpauth:// URL authenticator apps read from a QR code
+const buildOtpAuthUrl = (secret, accountName, issuer = 'VocaBin') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUrl
+};
@@ -0,0 +1,31 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Invitation = require('../../src/models/Invitation');
+const AdminController = require('../../src/controllers/AdminController');
+
+afterEach(() => mock.restoreAll());
+
+const createInvitation = async (body) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await AdminController.createInvitation({ user: { _id: 'a1' }, body }, res);
+  return res;
+};
+
+test('invitations cannot grant the admin role', async () => {
+  const create = mock.method(Invitation, 'create', async () => ({}));
+
+  const res = await createInvitation({ role: 'admin' });
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /learner, teacher, content_editor/);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('admin invitations created before the restriction can no longer be claimed', () => {
+  const query = Invitation.claim('ABCD-EFGH');
+  assert.deepEqual(query.getFilter().role, { $in: [null, 'learner', 'teacher', 'content_editor'] });
+});
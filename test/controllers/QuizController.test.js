@@ -0,0 +1,77 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Quiz = require('../../src/models/Quiz');
+const WrongWords = require('../../src/models/WrongWords');
+const ActivityService = require('../../src/services/ActivityService');
+const { submitQuiz } = require('../../src/controllers/QuizController');
+
+afterEach(() => mock.restoreAll());
+
+const user = { _id: 'u1' };
+const QUIZ_ID = '0123456789abcdef01234567';
+
+const submit = async (answers) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await submitQuiz({ user, params: { quizId: QUIZ_ID }, body: { answers } }, res);
+  return res;
+};
+
+const quizOf = (fields = {}) => ({
+  _id: QUIZ_ID,
+  submitted_at: null,
+  expires_at: new Date(Date.now() + 60 * 1000),
+  questions: [],
+  ...fields
+});
+
+test('an expired quiz can no longer be submitted', async () => {
+  mock.method(Quiz, 'findOne', async () => quizOf({ expires_at: new Date(Date.now() - 1000) }));
+  const claim = mock.method(Quiz, 'findOneAndUpdate', async () => null);
+
+  assert.equal((await submit([])).statusCode, 410);
+  assert.equal(claim.mock.callCount(), 0);
+});
+
+test('submitting claims only an unexpired quiz and drops its expiry', async () => {
+  mock.method(Quiz, 'findOne', async () => quizOf());
+  const claim = mock.method(Quiz, 'findOneAndUpdate', async () => null);
+  mock.method(Quiz, 'findById', () => ({ select: async () => null }));
+
+  // The TTL index removed the quiz between the read and the claim
+  assert.equal((await submit([])).statusCode, 410);
+
+  const [filter, update] = claim.mock.calls[0].arguments;
+  assert.ok(filter.expires_at.$gt instanceof Date);
+  assert.deepEqual(update.$unset, { expires_at: 1 });
+});
+
+test('losing the claim to another submit is a 409', async () => {
+  mock.method(Quiz, 'findOne', async () => quizOf());
+  mock.method(Quiz, 'findOneAndUpdate', async () => null);
+  mock.method(Quiz, 'findById', () => ({ select: async () => ({ submitted_at: new Date() }) }));
+
+  assert.equal((await submit([])).statusCode, 409);
+});
+
+test('wrong answers are recorded with the quiz direction\'s error type', async () => {
+  for (const [direction, errorType] of [['en_zh', 'meaning'], ['zh_en', 'recall']]) {
+    const question = { word: 'apple', word_index: 0, options: ['apple', 'pear'], correct_option: 0, toObject() { return this; } };
+    mock.method(Quiz, 'findOne', async () => quizOf({ questions: [question] }));
+    mock.method(Quiz, 'findOneAndUpdate', async () => ({
+      dictionary_id: 'd1',
+      direction,
+      questions: [{ ...question, selected_option: 1, is_correct: false }],
+      toClientJSON: () => ({})
+    }));
+    const wrongWord = { is_resolved: false, addError: mock.fn(async () => {}), addReview: mock.fn(async () => {}) };
+    mock.method(WrongWords, 'findOne', async () => wrongWord);
+    mock.method(ActivityService, 'recordAnswer', async () => {});
+
+    assert.equal((await submit([1])).statusCode, 200);
+    assert.equal(wrongWord.addError.mock.calls[0].arguments[2], errorType);
+  }
+});
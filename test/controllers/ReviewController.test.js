@@ -0,0 +1,47 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Dictionary = require('../../src/models/Dictionary');
+const UserWordProgress = require('../../src/models/UserWordProgress');
+const DictionaryService = require('../../src/services/DictionaryService');
+const { getDueReviews, submitReviewAnswer } = require('../../src/controllers/ReviewController');
+
+afterEach(() => mock.restoreAll());
+
+const user = { _id: 'u1', learningPreferences: { scheduler: 'sm2' } };
+
+const respond = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler({ user, query: {}, params: {}, body: {}, ...req }, res);
+  return res;
+};
+
+test('due reviews are listed and counted from active dictionaries only', async () => {
+  mock.method(Dictionary, 'findActive', () => ({ distinct: async () => ['d1'] }));
+  const chain = { populate() { return this; }, sort() { return this; }, limit: async () => [] };
+  const find = mock.method(UserWordProgress, 'find', () => chain);
+  const count = mock.method(UserWordProgress, 'countDocuments', async () => 0);
+
+  const res = await respond(getDueReviews, {});
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(find.mock.calls[0].arguments[0].dictionary_id, { $in: ['d1'] });
+  assert.deepEqual(count.mock.calls[0].arguments[0], find.mock.calls[0].arguments[0]);
+});
+
+test('a review answer for a word missing from the dictionary file is a 409', async () => {
+  mock.method(UserWordProgress, 'findOne', async () => ({ dictionary_id: 'd1', word_index: 99, word: 'apple' }));
+  mock.method(DictionaryService, 'getWordByIndex', async () => {
+    throw new Error('Failed to get word by index: Word index 99 out of range');
+  });
+
+  const res = await respond(submitReviewAnswer, {
+    params: { wordProgressId: '0123456789abcdef01234567' },
+    body: { userAnswer: '苹果' }
+  });
+
+  assert.equal(res.statusCode, 409);
+});
@@ -0,0 +1,165 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AnswerReceipt = require('../../src/models/AnswerReceipt');
+const AnswerService = require('../../src/services/AnswerService');
+const { syncWordAnswers } = require('../../src/controllers/UserProgressController');
+
+const { AnswerError } = AnswerService;
+
+afterEach(() => mock.restoreAll());
+
+const user = { _id: 'u1' };
+
+const sync = async (answers) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await syncWordAnswers({ user, body: { answers } }, res);
+  return res;
+};
+
+// Receipts held in memory, keyed like the unique index
+const mockReceipts = (existing = []) => {
+  const receipts = new Map(existing.map(receipt => [receipt.idempotency_key, receipt]));
+  mock.method(AnswerReceipt, 'create', async (fields) => {
+    if (receipts.has(fields.idempotency_key)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const receipt = { _id: fields.idempotency_key, status: 'pending', ...fields, async save() { return this; } };
+    receipts.set(fields.idempotency_key, receipt);
+    return receipt;
+  });
+  mock.method(AnswerReceipt, 'findOne', async ({ idempotency_key }) => receipts.get(idempotency_key) || null);
+  mock.method(AnswerReceipt, 'deleteOne', async ({ _id }) => {
+    receipts.delete(_id);
+    return { deletedCount: 1 };
+  });
+  return receipts;
+};
+
+const answer = (key, fields = {}) => ({
+  idempotencyKey: key,
+  dictionaryId: '0123456789abcdef01234567',
+  word: 'apple',
+  userAnswer: '苹果',
+  ...fields
+});
+
+test('the batch must be a non-empty array of at most 100 answers', async () => {
+  assert.equal((await sync(undefined)).statusCode, 400);
+  assert.equal((await sync([])).statusCode, 400);
+  assert.equal((await sync(Array.from({ length: 101 }, (_, i) => answer(`k${i}`)))).statusCode, 400);
+});
+
+test('new answers are applied once, in answer order, and receipts keep the result', async () => {
+  const receipts = mockReceipts();
+  const applied = [];
+  mock.method(AnswerService, 'submitAnswer', async (submitter, body, { answeredAt }) => {
+    applied.push({ word: body.word, answeredAt });
+    return { correct: true, next_word: { name: 'next' }, review: null };
+  });
+
+  const res = await sync([
+    answer('late', { word: 'pear', answeredAt: '2024-05-02T10:00:00Z' }),
+    answer('early', { answeredAt: '2024-05-01T10:00:00Z' })
+  ]);
+
+  assert.deepEqual(applied.map(entry => entry.word), ['apple', 'pear']);
+  assert.equal(applied[0].answeredAt.toISOString(), '2024-05-01T10:00:00.000Z');
+  assert.deepEqual(res.body.results.map(result => [result.index, result.status]), [[0, 'applied'], [1, 'applied']]);
+  assert.deepEqual(res.body.results[0].result, { correct: true });
+  assert.equal(receipts.get('late').status, 'applied');
+  assert.deepEqual(receipts.get('late').result, { correct: true });
+});
+
+test('a replayed key reports the stored result without applying it again', async () => {
+  mockReceipts([{ _id: 'r1', idempotency_key: 'seen', status: 'applied', result: { correct: false } }]);
+  const submit = mock.method(AnswerService, 'submitAnswer', async () => ({ correct: true }));
+
+  const res = await sync([answer('seen'), answer('fresh'), answer('fresh')]);
+
+  assert.equal(submit.mock.callCount(), 1);
+  assert.deepEqual(res.body.results.map(result => result.status), ['duplicate', 'applied', 'duplicate']);
+  assert.deepEqual(res.body.results[0].result, { correct: false });
+  assert.deepEqual(res.body.summary, { total: 3, applied: 1, duplicate: 2, rejected: 0, failed: 0 });
+});
+
+test('invalid keys and timestamps are rejected per item', async () => {
+  mockReceipts();
+  mock.method(AnswerService, 'submitAnswer', async () => ({ correct: true }));
+
+  const res = await sync([answer(''), answer('x'.repeat(201)), answer('bad-time', { answeredAt: 'yesterday' }), answer('ok')]);
+
+  assert.deepEqual(res.body.results.map(result => result.status), ['rejected', 'rejected', 'rejected', 'applied']);
+});
+
+test('answers from the future count as answered now', async () => {
+  mockReceipts();
+  const submit = mock.method(AnswerService, 'submitAnswer', async () => ({ correct: true }));
+
+  const before = Date.now();
+  await sync([answer('future', { answeredAt: '2999-01-01T00:00:00Z' })]);
+
+  const { answeredAt } = submit.mock.calls[0].arguments[2];
+  assert.ok(answeredAt.getTime() >= before && answeredAt.getTime() <= Date.now());
+});
+
+test('a rejected answer releases its key so a corrected answer can be synced', async () => {
+  const receipts = mockReceipts();
+  mock.method(AnswerService, 'submitAnswer', async () => {
+    throw new AnswerError('Word does not match the dictionary entry', 400, { message: 'Word at index 3 is not "apple"' });
+  });
+
+  const res = await sync([answer('wrong-word')]);
+
+  assert.equal(res.body.results[0].status, 'rejected');
+  assert.equal(res.body.results[0].error, 'Word does not match the dictionary entry');
+  assert.equal(res.body.results[0].message, 'Word at index 3 is not "apple"');
+  assert.equal(receipts.has('wrong-word'), false);
+});
+
+test('a stale pending receipt is claimed again and the answer applied', async () => {
+  const stale = { _id: 'r1', idempotency_key: 'crashed', status: 'pending', updatedAt: new Date(Date.now() - 10 * 60 * 1000) };
+  mockReceipts([stale]);
+  const reclaim = mock.method(AnswerReceipt, 'findOneAndUpdate', async () => ({ ...stale, async save() { return this; } }));
+  mock.method(AnswerService, 'submitAnswer', async () => ({ correct: true }));
+
+  const res = await sync([answer('crashed')]);
+
+  assert.equal(reclaim.mock.calls[0].arguments[0].updatedAt, stale.updatedAt);
+  assert.equal(res.body.results[0].status, 'applied');
+});
+
+test('a key still being applied elsewhere is left alone', async () => {
+  mockReceipts([
+    { _id: 'r1', idempotency_key: 'busy', status: 'pending', updatedAt: new Date() },
+    { _id: 'r2', idempotency_key: 'partial', status: 'applying', updatedAt: new Date(0) }
+  ]);
+  const submit = mock.method(AnswerService, 'submitAnswer', async () => ({ correct: true }));
+
+  const res = await sync([answer('busy'), answer('partial')]);
+
+  assert.equal(submit.mock.callCount(), 0);
+  assert.equal(res.body.results[0].status, 'failed');
+  assert.deepEqual(
+    { status: res.body.results[1].status, incomplete: res.body.results[1].incomplete },
+    { status: 'duplicate', incomplete: true }
+  );
+});
+
+test('a key stays claimed once the answer has started to be written', async () => {
+  const receipts = mockReceipts();
+  mock.method(AnswerService, 'submitAnswer', async (submitter, body, { beforeWrite }) => {
+    await beforeWrite();
+    throw new Error('connection lost');
+  });
+  mock.method(console, 'error', () => {});
+
+  const res = await sync([answer('half-done')]);
+
+  assert.equal(res.body.results[0].status, 'failed');
+  assert.equal(res.body.results[0].incomplete, true);
+  assert.equal(receipts.get('half-done').status, 'applying');
+});
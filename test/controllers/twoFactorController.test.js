@@ -0,0 +1,54 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../src/models/User');
+const { generateSecret, generateCode, getTimeStep } = require('../../src/utils/totp');
+const { regenerateRecoveryCodes } = require('../../src/controllers/twoFactorController');
+
+afterEach(() => mock.restoreAll());
+
+const regenerate = async (code) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await regenerateRecoveryCodes({ user: { _id: 'u1' }, body: { code } }, res);
+  return res;
+};
+
+test('a TOTP code is claimed with a conditional update on its time step', async () => {
+  const secret = generateSecret();
+  const step = getTimeStep();
+  const user = {
+    _id: 'u1',
+    twoFactor: { enabled: true, secret, lastUsedStep: step - 1, recoveryCodes: [] },
+    save: mock.fn(async () => {})
+  };
+  mock.method(User, 'findByIdWithTwoFactor', async () => user);
+  const claim = mock.method(User, 'findOneAndUpdate', () => ({
+    select: async () => ({ twoFactor: { lastUsedStep: step, recoveryCodes: [] } })
+  }));
+
+  assert.equal((await regenerate(generateCode(secret, step))).statusCode, 200);
+
+  const [filter, update] = claim.mock.calls[0].arguments;
+  assert.deepEqual(filter.$or, [
+    { 'twoFactor.lastUsedStep': null },
+    { 'twoFactor.lastUsedStep': { $lt: step } }
+  ]);
+  assert.deepEqual(update, { $set: { 'twoFactor.lastUsedStep': step } });
+});
+
+test('a code already claimed by a concurrent request is rejected', async () => {
+  const secret = generateSecret();
+  const user = {
+    _id: 'u1',
+    twoFactor: { enabled: true, secret, lastUsedStep: null, recoveryCodes: [] },
+    save: mock.fn(async () => {})
+  };
+  mock.method(User, 'findByIdWithTwoFactor', async () => user);
+  mock.method(User, 'findOneAndUpdate', () => ({ select: async () => null }));
+
+  assert.equal((await regenerate(generateCode(secret))).statusCode, 401);
+  assert.equal(user.save.mock.callCount(), 0);
+});
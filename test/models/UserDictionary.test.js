@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const UserDictionary = require('../../src/models/UserDictionary');
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+const build = (fields = {}) => new UserDictionary({
+  user_id: new mongoose.Types.ObjectId(),
+  dictionary_id: new mongoose.Types.ObjectId(),
+  total_words: 20,
+  ...fields
+});
+
+const order = (userDictionary) => range(userDictionary.total_words).map(p => userDictionary.wordIndexAt(p));
+
+test('without a stored order positions are file indexes', () => {
+  const userDictionary = build();
+  assert.equal(userDictionary.wordIndexAt(5), 5);
+  assert.deepEqual(order(userDictionary), range(20));
+});
+
+test('shuffling stores a seeded permutation of every word', () => {
+  const userDictionary = build({ settings: { shuffle_words: true } });
+  userDictionary.applyWordOrder();
+
+  assert.equal(typeof userDictionary.settings.shuffle_seed, 'number');
+  assert.deepEqual([...order(userDictionary)].sort((a, b) => a - b), range(20));
+  assert.notDeepEqual(order(userDictionary), range(20));
+});
+
+test('the same seed gives the same order', () => {
+  const a = build({ settings: { shuffle_words: true, shuffle_seed: 99 } });
+  const b = build({ settings: { shuffle_words: true, shuffle_seed: 99 } });
+  a.applyWordOrder();
+  b.applyWordOrder();
+  assert.deepEqual(order(a), order(b));
+});
+
+test('toggling the shuffle keeps the words already studied in place', () => {
+  const userDictionary = build({ current_position: 6, settings: { shuffle_words: true, shuffle_seed: 5 } });
+  userDictionary.applyWordOrder();
+  const studied = order(userDictionary).slice(0, 6);
+
+  userDictionary.settings.shuffle_words = false;
+  userDictionary.applyWordOrder();
+
+  const unshuffled = order(userDictionary);
+  assert.deepEqual(unshuffled.slice(0, 6), studied);
+  const rest = range(20).filter(index => !studied.includes(index));
+  assert.deepEqual(unshuffled.slice(6), rest);
+});
+
+test('turning the shuffle off before studying returns to file order', () => {
+  const userDictionary = build({ settings: { shuffle_words: true, shuffle_seed: 5 } });
+  userDictionary.applyWordOrder();
+  userDictionary.settings.shuffle_words = false;
+  userDictionary.applyWordOrder();
+
+  assert.equal(userDictionary.word_order.length, 0);
+  assert.deepEqual(order(userDictionary), range(20));
+});
+
+test('advancing passes over words marked known and completes at the end', async () => {
+  const userDictionary = build({ total_words: 5, status: 'in_progress' });
+  userDictionary.save = async function() { return this; };
+
+  await userDictionary.advancePosition(new Set([1, 2]));
+  assert.equal(userDictionary.current_position, 3);
+  assert.equal(userDictionary.completed_words, 3);
+
+  await userDictionary.advancePosition(new Set([4]));
+  assert.equal(userDictionary.current_position, 5);
+  assert.equal(userDictionary.status, 'completed');
+});
@@ -0,0 +1,36 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../src/models/User');
+const Invitation = require('../../src/models/Invitation');
+const PersonalAccessToken = require('../../src/models/PersonalAccessToken');
+const TokenService = require('../../src/services/TokenService');
+const AccountDataService = require('../../src/services/AccountDataService');
+
+afterEach(() => mock.restoreAll());
+
+test('requesting deletion signs the account out of every session and token', async () => {
+  const user = { _id: 'u1', save: mock.fn(async () => {}) };
+  const revokeSessions = mock.method(TokenService, 'revokeAllForUser', async () => 2);
+  const revokeTokens = mock.method(PersonalAccessToken, 'revokeAllForUser', async () => ({ modifiedCount: 1 }));
+
+  const scheduledFor = await AccountDataService.requestDeletion(user);
+
+  assert.ok(scheduledFor > user.deletionRequestedAt);
+  assert.deepEqual(revokeSessions.mock.calls[0].arguments, ['u1']);
+  assert.deepEqual(revokeTokens.mock.calls[0].arguments, ['u1']);
+});
+
+test('purging an account removes it from other users\' teachers and invitations', async () => {
+  mock.method(User, 'findById', async () => ({ _id: 'u1', profileImage: null }));
+  for (const Model of AccountDataService.userCollections) {
+    mock.method(Model, 'deleteMany', async () => ({ deletedCount: 0 }));
+  }
+  const pullTeacher = mock.method(User, 'updateMany', async () => ({ modifiedCount: 1 }));
+  const pullInvitee = mock.method(Invitation, 'updateMany', async () => ({ modifiedCount: 1 }));
+  const deleteUser = mock.method(User, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+  assert.equal(await AccountDataService.deleteUserData('u1'), true);
+  assert.deepEqual(pullTeacher.mock.calls[0].arguments, [{ teachers: 'u1' }, { $pull: { teachers: 'u1' } }]);
+  assert.deepEqual(pullInvitee.mock.calls[0].arguments, [{ used_by: 'u1' }, { $pull: { used_by: 'u1' } }]);
+  assert.equal(deleteUser.mock.callCount(), 1);
+});
@@ -0,0 +1,95 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../src/models/User');
+const ActivityService = require('../../src/services/ActivityService');
+
+afterEach(() => mock.restoreAll());
+
+// Serve the given statistics from User.findById and record User.updateOne calls
+const mockStatistics = (statistics) => {
+  const updates = [];
+  mock.method(User, 'findById', () => ({ select: async () => ({ statistics }) }));
+  mock.method(User, 'updateOne', async (filter, update) => {
+    updates.push({ filter, update });
+    return { matchedCount: 1 };
+  });
+  return updates;
+};
+
+const learner = (timezone, statistics) => ({
+  learningPreferences: { timezone },
+  statistics
+});
+
+test('dayFor uses the learner\'s time zone, or UTC when it is unusable', () => {
+  const moment = new Date('2024-05-01T22:00:00Z');
+  assert.equal(ActivityService.dayFor(learner('Asia/Tokyo'), moment), '2024-05-02');
+  assert.equal(ActivityService.dayFor(learner('Nowhere/Special'), moment), '2024-05-01');
+  assert.equal(ActivityService.timeZoneOf({}), 'UTC');
+});
+
+test('a streak survives until a whole local day passes without study', () => {
+  const user = learner('UTC', { currentStreak: 4, lastStudyDate: new Date('2024-05-01T09:00:00Z') });
+
+  assert.equal(ActivityService.currentStreak(user, new Date('2024-05-01T23:00:00Z')), 4);
+  assert.equal(ActivityService.currentStreak(user, new Date('2024-05-02T23:59:00Z')), 4);
+  assert.equal(ActivityService.currentStreak(user, new Date('2024-05-03T00:01:00Z')), 0);
+});
+
+test('streak days follow the learner\'s midnight, not UTC', () => {
+  // 16:30 UTC on May 1st is already May 2nd in Shanghai
+  const user = learner('Asia/Shanghai', { currentStreak: 2, lastStudyDate: new Date('2024-05-01T16:30:00Z') });
+
+  assert.equal(ActivityService.currentStreak(user, new Date('2024-05-03T15:00:00Z')), 2);
+  assert.equal(ActivityService.currentStreak(user, new Date('2024-05-03T16:30:00Z')), 0);
+});
+
+test('learners who never studied have no streak', () => {
+  assert.equal(ActivityService.currentStreak(learner('UTC', { currentStreak: 0, lastStudyDate: null })), 0);
+  assert.equal(ActivityService.currentStreak({}), 0);
+});
+
+test('the first answer of a day extends a streak whose last day was yesterday', async () => {
+  const user = { _id: 'u1', learningPreferences: { timezone: 'UTC' } };
+  const updates = mockStatistics({ currentStreak: 3, longestStreak: 3, lastStudyDate: new Date('2024-05-01T10:00:00Z') });
+
+  await ActivityService.updateStatistics(user, '2024-05-02', { answeredAt: new Date('2024-05-02T08:00:00Z'), responseTime: 60000 });
+
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].filter['statistics.lastStudyDate'].toISOString(), '2024-05-01T10:00:00.000Z');
+  assert.equal(updates[0].update.$set['statistics.currentStreak'], 4);
+  assert.equal(updates[0].update.$max['statistics.longestStreak'], 4);
+  assert.equal(updates[0].update.$inc['statistics.totalStudyTime'], 1);
+});
+
+test('a gap of a whole day starts the streak over', async () => {
+  const user = { _id: 'u1', learningPreferences: { timezone: 'UTC' } };
+  const updates = mockStatistics({ currentStreak: 9, longestStreak: 9, lastStudyDate: new Date('2024-04-29T10:00:00Z') });
+
+  await ActivityService.updateStatistics(user, '2024-05-02', { answeredAt: new Date('2024-05-02T08:00:00Z'), responseTime: 0 });
+
+  assert.equal(updates[0].update.$set['statistics.currentStreak'], 1);
+});
+
+test('later answers of the same day leave the streak alone', async () => {
+  const user = { _id: 'u1', learningPreferences: { timezone: 'UTC' } };
+  const updates = mockStatistics({ currentStreak: 5, longestStreak: 7, lastStudyDate: new Date('2024-05-02T07:00:00Z') });
+
+  await ActivityService.updateStatistics(user, '2024-05-02', { answeredAt: new Date('2024-05-02T08:00:00Z'), responseTime: 0 });
+
+  assert.equal(updates.length, 1);
+  assert.deepEqual(Object.keys(updates[0].filter), ['_id']);
+  assert.equal((updates[0].update.$set || {})['statistics.currentStreak'], undefined);
+});
+
+test('answers older than the last study day never move it back or touch the streak', async () => {
+  const user = { _id: 'u1', learningPreferences: { timezone: 'UTC' } };
+  const updates = mockStatistics({ currentStreak: 2, longestStreak: 2, lastStudyDate: new Date('2024-05-04T10:00:00Z') });
+  const answeredAt = new Date('2024-05-02T08:00:00Z');
+
+  await ActivityService.updateStatistics(user, '2024-05-02', { answeredAt, responseTime: 0 });
+
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].update.$max['statistics.lastStudyDate'], answeredAt);
+  assert.equal(updates[0].update.$set, undefined);
+});
@@ -0,0 +1,184 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const UserDictionary = require('../../src/models/UserDictionary');
+const UserWordProgress = require('../../src/models/UserWordProgress');
+const WrongWords = require('../../src/models/WrongWords');
+const AnswerSnapshot = require('../../src/models/AnswerSnapshot');
+const ActivityService = require('../../src/services/ActivityService');
+const DictionaryService = require('../../src/services/DictionaryService');
+const AnswerService = require('../../src/services/AnswerService');
+
+const { AnswerError } = AnswerService;
+
+afterEach(() => mock.restoreAll());
+
+const user = { _id: 'u1' };
+const DICTIONARY_ID = '0123456789abcdef01234567';
+const ANSWERED = new Date('2024-05-01T10:00:00Z');
+
+const snapshotOf = (fields = {}) => ({
+  _id: 's1',
+  word: 'apple',
+  is_correct: true,
+  is_new: true,
+  response_time: 1500,
+  answered_at: ANSWERED,
+  created_at: new Date(),
+  user_dictionary: { current_position: 3, completed_words: 3, correct_answers: 2 },
+  user_dictionary_updated_at: ANSWERED,
+  word_progress: { id: 'wp1', created: true, before: null, updated_at: ANSWERED },
+  wrong_word: { id: null },
+  study_session: { id: null, answer_id: null },
+  activity: null,
+  ...fields
+});
+
+// Documents as they were right after the answer
+const mockState = (snapshot, { wordProgressUpdatedAt = ANSWERED, dictionaryUpdatedAt = ANSWERED } = {}) => {
+  const userDictionary = {
+    updatedAt: dictionaryUpdatedAt,
+    current_position: 4,
+    completed_words: 4,
+    correct_answers: 3,
+    set(values) { Object.assign(this, values); },
+    save: mock.fn(async function() { return this; })
+  };
+  const wordProgress = { _id: 'wp1', updatedAt: wordProgressUpdatedAt, is_mastered: false };
+
+  mock.method(AnswerSnapshot, 'findOne', () => ({ sort: async () => snapshot }));
+  mock.method(UserDictionary, 'findOne', async () => userDictionary);
+  mock.method(UserWordProgress, 'findById', async () => wordProgress);
+  mock.method(WrongWords, 'findById', async () => null);
+
+  return {
+    userDictionary,
+    claim: mock.method(AnswerSnapshot, 'findOneAndDelete', async () => snapshot),
+    deleteProgress: mock.method(UserWordProgress, 'deleteOne', async () => ({ deletedCount: 1 })),
+    undoActivity: mock.method(ActivityService, 'undoAnswer', async () => {})
+  };
+};
+
+const rejectsWith = (promise, status) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof AnswerError);
+  assert.equal(error.status, status);
+  return true;
+});
+
+test('an offline answer older than the word\'s latest review is rejected before anything is written', async () => {
+  mock.method(UserDictionary, 'findOne', async () => ({
+    settings: { review_mode: false },
+    current_position: 0,
+    total_words: 10,
+    wordIndexAt: (position) => position
+  }));
+  mock.method(DictionaryService, 'getWordByIndex', async () => ({ name: 'apple', index: 0, trans: ['n. 苹果'] }));
+  mock.method(DictionaryService, 'getDictionaryById', async () => ({}));
+  mock.method(UserWordProgress, 'findOne', async () => ({ last_reviewed: new Date('2024-05-02T10:00:00Z') }));
+  const beforeWrite = mock.fn(async () => {});
+
+  await rejectsWith(AnswerService.submitAnswer(user, {
+    dictionaryId: DICTIONARY_ID,
+    word: 'apple',
+    wordIndex: 0,
+    userAnswer: '苹果'
+  }, { answeredAt: ANSWERED, beforeWrite }), 409);
+  assert.equal(beforeWrite.mock.callCount(), 0);
+});
+
+test('an answer for an index outside the dictionary is a 400, not a dictionary lookup', async () => {
+  mock.method(UserDictionary, 'findOne', async () => ({
+    settings: { review_mode: false },
+    current_position: 0,
+    total_words: 10,
+    wordIndexAt: (position) => position
+  }));
+  const lookup = mock.method(DictionaryService, 'getWordByIndex', async () => ({ name: 'apple' }));
+
+  for (const wordIndex of [-1, 10]) {
+    await rejectsWith(AnswerService.submitAnswer(user, {
+      dictionaryId: DICTIONARY_ID,
+      word: 'apple',
+      wordIndex,
+      userAnswer: '苹果'
+    }), 400);
+  }
+  assert.equal(lookup.mock.callCount(), 0);
+});
+
+test('a word missing from the dictionary file is a 404', async () => {
+  mock.method(UserDictionary, 'findOne', async () => ({
+    settings: { review_mode: false },
+    current_position: 0,
+    total_words: 10,
+    wordIndexAt: (position) => position
+  }));
+  mock.method(DictionaryService, 'getWordByIndex', async () => {
+    throw new Error('Failed to get word by index: Word index 9 out of range');
+  });
+
+  await rejectsWith(AnswerService.submitAnswer(user, {
+    dictionaryId: DICTIONARY_ID,
+    word: 'apple',
+    wordIndex: 9,
+    userAnswer: '苹果'
+  }), 404);
+});
+
+test('undo needs a valid dictionary ID', async () => {
+  await rejectsWith(AnswerService.undoLastAnswer(user, 'nope'), 400);
+});
+
+test('there is nothing to undo without a snapshot inside the window', async () => {
+  mock.method(AnswerSnapshot, 'findOne', () => ({ sort: async () => null }));
+  await rejectsWith(AnswerService.undoLastAnswer(user, DICTIONARY_ID), 404);
+
+  const old = snapshotOf({ created_at: new Date(Date.now() - AnswerService.undoWindowMs - 1000) });
+  mock.method(AnswerSnapshot, 'findOne', () => ({ sort: async () => old }));
+  await rejectsWith(AnswerService.undoLastAnswer(user, DICTIONARY_ID), 404);
+});
+
+test('undo refuses once the word changed after the answer', async () => {
+  const { claim } = mockState(snapshotOf(), { wordProgressUpdatedAt: new Date() });
+
+  await rejectsWith(AnswerService.undoLastAnswer(user, DICTIONARY_ID), 409);
+  assert.equal(claim.mock.callCount(), 0);
+});
+
+test('undoing a first answer restores the dictionary and forgets the word', async () => {
+  const snapshot = snapshotOf();
+  const { userDictionary, claim, deleteProgress, undoActivity } = mockState(snapshot);
+
+  const result = await AnswerService.undoLastAnswer(user, DICTIONARY_ID);
+
+  assert.equal(claim.mock.callCount(), 1);
+  assert.equal(userDictionary.current_position, 3);
+  assert.equal(userDictionary.correct_answers, 2);
+  assert.equal(userDictionary.save.mock.callCount(), 1);
+  assert.deepEqual(deleteProgress.mock.calls[0].arguments[0], { _id: 'wp1' });
+  assert.equal(undoActivity.mock.calls[0].arguments[2].word, 'apple');
+  assert.equal(result.word, 'apple');
+  assert.equal(result.was_correct, true);
+  assert.equal(result.dictionary_progress.current_position, 3);
+});
+
+test('a second undo of the same snapshot finds nothing', async () => {
+  const { userDictionary, claim } = mockState(snapshotOf());
+  claim.mock.mockImplementation(async () => null);
+
+  await rejectsWith(AnswerService.undoLastAnswer(user, DICTIONARY_ID), 404);
+  assert.equal(userDictionary.save.mock.callCount(), 0);
+});
+
+test('a snapshot that fails to save does not fail the answer', async () => {
+  mock.method(AnswerSnapshot, 'create', async () => { throw new Error('disk full'); });
+  mock.method(console, 'error', () => {});
+
+  await AnswerService.saveSnapshot({ word: 'apple' });
+});
+
+test('undo refuses once the dictionary progress changed after the answer', async () => {
+  const { claim } = mockState(snapshotOf(), { dictionaryUpdatedAt: new Date() });
+
+  await rejectsWith(AnswerService.undoLastAnswer(user, DICTIONARY_ID), 409);
+  assert.equal(claim.mock.callCount(), 0);
+});
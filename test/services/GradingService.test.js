@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GradingService = require('../../src/services/GradingService');
+
+const word = { name: 'commonplace', trans: ['adj. 普通的，平凡的', 'n. 司空见惯的(事物)；老生常谈'] };
+
+test('normalize folds width, case, whitespace and surrounding punctuation', () => {
+  assert.equal(GradingService.normalize('  ＨＥＬＬＯ   World!! '), 'hello world');
+  assert.equal(GradingService.normalize(null), '');
+});
+
+test('getMeanings splits trans entries and drops part-of-speech labels', () => {
+  const meanings = GradingService.getMeanings(word);
+  assert.ok(meanings.includes('普通的'));
+  assert.ok(meanings.includes('平凡的'));
+  assert.ok(meanings.includes('老生常谈'));
+  assert.ok(meanings.includes('司空见惯的事物'));
+  assert.ok(meanings.includes('司空见惯的'));
+  assert.ok(!meanings.some(meaning => meaning.includes('adj')));
+});
+
+test('spelling answers must match the word after normalization', () => {
+  assert.equal(GradingService.grade(word, ' Commonplace ', 'spelling').isCorrect, true);
+  assert.equal(GradingService.grade(word, '', 'spelling').reason, 'empty_answer');
+
+  const wrong = GradingService.grade(word, 'ordinary', 'spelling');
+  assert.equal(wrong.isCorrect, false);
+  assert.equal(wrong.reason, 'spelling_mismatch');
+  assert.equal(wrong.expected, 'commonplace');
+});
+
+test('meaning answers match any listed meaning, ignoring a trailing 的', () => {
+  assert.equal(GradingService.grade(word, '普通', 'meaning').isCorrect, true);
+  assert.equal(GradingService.grade(word, '老生常谈', 'meaning').reason, 'meaning_match');
+  assert.equal(GradingService.grade(word, '司空见惯的事物', 'meaning').isCorrect, true);
+});
+
+test('every meaning given has to be right', () => {
+  assert.equal(GradingService.grade(word, '普通的，平凡的', 'meaning').isCorrect, true);
+
+  const partly = GradingService.grade(word, '普通的；美丽的', 'meaning');
+  assert.equal(partly.isCorrect, false);
+  assert.equal(partly.reason, 'partially_wrong_meaning');
+  assert.equal(GradingService.grade(word, '美丽的', 'meaning').reason, 'meaning_mismatch');
+});
+
+test('meaning answers without reference meanings or text are wrong', () => {
+  assert.equal(GradingService.grade({ name: 'x', trans: [] }, '任何', 'meaning').reason, 'no_reference_meaning');
+  assert.equal(GradingService.grade(word, ' ', 'meaning').reason, 'empty_answer');
+});
+
+test('grade rejects unknown modes', () => {
+  assert.throws(() => GradingService.grade(word, 'x', 'audio'), /Unknown grading mode/);
+});
+
+test('spelling answers close to the word are near misses with partial credit', () => {
+  const nearMiss = GradingService.grade(word, 'comonplace', 'spelling');
+  assert.equal(nearMiss.isCorrect, false);
+  assert.equal(nearMiss.verdict, 'near_miss');
+  assert.equal(nearMiss.score, 0.91);
+  assert.equal(nearMiss.diagnosis.missing_letters.length, 1);
+
+  const exact = GradingService.grade(word, 'commonplace', 'spelling');
+  assert.equal(exact.score, 1);
+});
+
+test('a dictionary can tighten the near-miss threshold', () => {
+  const options = GradingService.optionsFor({ grading: { near_miss_threshold: 0 } });
+  assert.deepEqual(options, { nearMissThreshold: 0 });
+
+  const strict = GradingService.grade(word, 'comonplace', 'spelling', options);
+  assert.equal(strict.verdict, 'incorrect');
+  assert.equal(strict.reason, 'spelling_mismatch');
+  assert.equal(strict.score, 0);
+  assert.ok(strict.diagnosis);
+});
+
+test('options default to the length-based threshold', () => {
+  assert.deepEqual(GradingService.optionsFor(null), { nearMissThreshold: null });
+});
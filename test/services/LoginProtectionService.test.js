@@ -0,0 +1,58 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../src/models/User');
+const LoginThrottle = require('../../src/models/LoginThrottle');
+const LoginProtectionService = require('../../src/services/LoginProtectionService');
+
+afterEach(() => mock.restoreAll());
+
+const policy = { freeAttempts: 3, baseDelaySeconds: 30, maxLockSeconds: 600 };
+
+test('the wait doubles after the free attempts, up to the lockout', () => {
+  assert.equal(LoginProtectionService.computeLockSeconds(2, policy), 0);
+  assert.equal(LoginProtectionService.computeLockSeconds(3, policy), 30);
+  assert.equal(LoginProtectionService.computeLockSeconds(5, policy), 120);
+  assert.equal(LoginProtectionService.computeLockSeconds(20, policy), 600);
+});
+
+test('IP failures are counted with one atomic upsert and lock from the returned count', async () => {
+  const upsert = mock.method(LoginThrottle, 'findOneAndUpdate', async () => ({ _id: 't1', failed_attempts: 25 }));
+  const lock = mock.method(LoginThrottle, 'updateOne', async () => ({}));
+
+  await LoginProtectionService.recordFailure('10.0.0.1');
+
+  const [filter, update, options] = upsert.mock.calls[0].arguments;
+  assert.deepEqual(filter, { key: 'ip:10.0.0.1' });
+  assert.deepEqual(update.$inc, { failed_attempts: 1 });
+  assert.equal(options.upsert, true);
+  assert.ok(lock.mock.calls[0].arguments[1].$max.locked_until > new Date());
+});
+
+test('IP failures below the threshold set no lock', async () => {
+  mock.method(LoginThrottle, 'findOneAndUpdate', async () => ({ _id: 't1', failed_attempts: 1 }));
+  const lock = mock.method(LoginThrottle, 'updateOne', async () => ({}));
+
+  await LoginProtectionService.recordFailure('10.0.0.1');
+
+  assert.equal(lock.mock.callCount(), 0);
+});
+
+test('account failures inside the window increment the stored count', async () => {
+  const calls = mock.method(User, 'findOneAndUpdate', async () => ({ loginSecurity: { failedAttempts: 2 } }));
+
+  const security = await LoginProtectionService.incrementAccountFailures('u1');
+
+  assert.equal(security.failedAttempts, 2);
+  assert.deepEqual(calls.mock.calls[0].arguments[1].$inc, { 'loginSecurity.failedAttempts': 1 });
+});
+
+test('an account count outside the window starts over at one', async () => {
+  const calls = mock.method(User, 'findOneAndUpdate', async (filter) => (
+    filter.$or ? { loginSecurity: { failedAttempts: 1 } } : null
+  ));
+
+  const security = await LoginProtectionService.incrementAccountFailures('u1');
+
+  assert.equal(security.failedAttempts, 1);
+  assert.equal(calls.mock.calls[1].arguments[1].$set['loginSecurity.failedAttempts'], 1);
+});
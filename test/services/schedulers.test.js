@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getScheduler, DEFAULT_SCHEDULER, SCHEDULER_NAMES } = require('../../src/services/schedulers');
+const sm2 = require('../../src/services/schedulers/sm2');
+const fsrs = require('../../src/services/schedulers/fsrs');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = new Date('2024-03-01T12:00:00Z');
+
+const newProgress = () => ({
+  spaced_repetition: { interval: 1, ease_factor: 2.5, repetition: 0 },
+  fsrs: { stability: null, difficulty: null, lapses: 0, last_review: null },
+  learning_history: [],
+  next_review: null
+});
+
+const daysUntilReview = (progress, from) => Math.round((progress.next_review - from) / DAY);
+
+test('getScheduler falls back to the default for unknown names', () => {
+  assert.deepEqual(SCHEDULER_NAMES, ['sm2', 'fsrs']);
+  assert.equal(getScheduler('fsrs'), fsrs);
+  assert.equal(getScheduler('nonsense').name, DEFAULT_SCHEDULER);
+});
+
+test('sm2 steps through 1 and 6 days, then multiplies by the ease factor', () => {
+  const progress = newProgress();
+  const intervals = [];
+  for (let i = 0; i < 4; i++) {
+    sm2.schedule(progress, { isCorrect: true, reviewedAt: START });
+    intervals.push(daysUntilReview(progress, START));
+  }
+  assert.deepEqual(intervals, [1, 6, 15, 38]);
+  assert.equal(progress.spaced_repetition.repetition, 4);
+});
+
+test('sm2 starts over after a wrong answer', () => {
+  const progress = newProgress();
+  sm2.schedule(progress, { isCorrect: true, reviewedAt: START });
+  sm2.schedule(progress, { isCorrect: true, reviewedAt: START });
+  sm2.schedule(progress, { isCorrect: false, reviewedAt: START });
+  assert.equal(progress.spaced_repetition.repetition, 0);
+  assert.equal(daysUntilReview(progress, START), 1);
+});
+
+test('sm2 adjusts the ease factor by difficulty but never below 1.3', () => {
+  const progress = newProgress();
+  sm2.schedule(progress, { isCorrect: true, userDifficulty: 1, reviewedAt: START });
+  assert.equal(progress.spaced_repetition.ease_factor, 2.8);
+
+  for (let i = 0; i < 10; i++) {
+    sm2.schedule(progress, { isCorrect: true, userDifficulty: 5, reviewedAt: START });
+  }
+  assert.equal(progress.spaced_repetition.ease_factor, 1.3);
+});
+
+test('fsrs maps answers and difficulty to ratings', () => {
+  assert.equal(fsrs.ratingFor(false, 1), 1);
+  assert.equal(fsrs.ratingFor(true, 5), 2);
+  assert.equal(fsrs.ratingFor(true), 3);
+  assert.equal(fsrs.ratingFor(true, 3), 3);
+  assert.equal(fsrs.ratingFor(true, 1), 4);
+});
+
+test('fsrs retrievability decays from 1 and intervals grow with stability', () => {
+  assert.equal(fsrs.retrievability(0, 5), 1);
+  assert.ok(fsrs.retrievability(10, 5) < fsrs.retrievability(1, 5));
+  assert.equal(fsrs.intervalFor(0.01), 1);
+  assert.ok(fsrs.intervalFor(50) > fsrs.intervalFor(5));
+});
+
+test('fsrs schedules longer gaps after each successful review', () => {
+  const progress = newProgress();
+  let reviewedAt = START;
+  const intervals = [];
+  for (let i = 0; i < 4; i++) {
+    fsrs.schedule(progress, { isCorrect: true, reviewedAt });
+    intervals.push(daysUntilReview(progress, reviewedAt));
+    reviewedAt = progress.next_review;
+  }
+
+  for (let i = 1; i < intervals.length; i++) {
+    assert.ok(intervals[i] > intervals[i - 1], `interval ${intervals[i]} should exceed ${intervals[i - 1]}`);
+  }
+  assert.equal(progress.spaced_repetition.repetition, 4);
+  assert.equal(progress.fsrs.lapses, 0);
+});
+
+test('fsrs counts a lapse and shortens the interval after a wrong answer', () => {
+  const progress = newProgress();
+  fsrs.schedule(progress, { isCorrect: true, reviewedAt: START });
+  const stability = progress.fsrs.stability;
+  const later = new Date(START.getTime() + 3 * DAY);
+
+  fsrs.schedule(progress, { isCorrect: false, reviewedAt: later });
+  assert.equal(progress.fsrs.lapses, 1);
+  assert.ok(progress.fsrs.stability < stability);
+  assert.equal(progress.spaced_repetition.repetition, 0);
+  assert.equal(daysUntilReview(progress, later), 1);
+});
+
+test('fsrs migration replays history to the same state as incremental scheduling', () => {
+  const answers = [
+    { was_correct: true, days: 0 },
+    { was_correct: false, days: 2 },
+    { was_correct: true, days: 3 },
+    { was_correct: true, days: 8 }
+  ];
+
+  const incremental = newProgress();
+  const history = [];
+  for (const answer of answers) {
+    const reviewedAt = new Date(START.getTime() + answer.days * DAY);
+    fsrs.schedule(incremental, { isCorrect: answer.was_correct, reviewedAt });
+    history.push({ attempt_date: reviewedAt, was_correct: answer.was_correct, difficulty_after: null });
+  }
+
+  // A word scheduled by SM-2 until now, with its history out of order
+  const migrated = newProgress();
+  migrated.learning_history = [history[2], history[0], history[3], history[1]];
+  assert.equal(fsrs.migrate(migrated), true);
+
+  assert.ok(Math.abs(migrated.fsrs.stability - incremental.fsrs.stability) < 1e-9);
+  assert.ok(Math.abs(migrated.fsrs.difficulty - incremental.fsrs.difficulty) < 1e-9);
+  assert.equal(migrated.fsrs.lapses, 1);
+  assert.equal(migrated.next_review.getTime(), incremental.next_review.getTime());
+  assert.equal(migrated.spaced_repetition.repetition, 2);
+});
+
+test('fsrs migration leaves words without history alone', () => {
+  const progress = newProgress();
+  assert.equal(fsrs.migrate(progress), false);
+  assert.equal(progress.fsrs.stability, null);
+});
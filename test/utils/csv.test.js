@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { escapeCell, toCsv } = require('../../src/utils/csv');
+
+test('escapeCell quotes cells containing separators, quotes or newlines', () => {
+  assert.equal(escapeCell('plain'), 'plain');
+  assert.equal(escapeCell('a,b'), '"a,b"');
+  assert.equal(escapeCell('say "hi"'), '"say ""hi"""');
+  assert.equal(escapeCell('line\nbreak'), '"line\nbreak"');
+});
+
+test('escapeCell formats empty values, dates, ObjectIds and objects', () => {
+  const id = new mongoose.Types.ObjectId();
+  assert.equal(escapeCell(null), '');
+  assert.equal(escapeCell(undefined), '');
+  assert.equal(escapeCell(0), '0');
+  assert.equal(escapeCell(new Date('2024-01-02T03:04:05Z')), '2024-01-02T03:04:05.000Z');
+  assert.equal(escapeCell(id), id.toHexString());
+  assert.equal(escapeCell({ a: 1 }), '"{""a"":1}"');
+});
+
+test('toCsv writes a header and reads dotted column paths', () => {
+  const rows = [
+    { word: 'apple', stats: { correct: 3 } },
+    { word: 'pear' }
+  ];
+  assert.equal(
+    toCsv(rows, ['word', 'stats.correct']),
+    'word,stats.correct\r\napple,3\r\npear,\r\n'
+  );
+});
+
+test('toCsv with no rows is just the header', () => {
+  assert.equal(toCsv([], ['a', 'b']), 'a,b\r\n');
+});
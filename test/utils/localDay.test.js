@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, localDay, addDays } = require('../../src/utils/localDay');
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(DEFAULT_TIME_ZONE, 'UTC');
+  assert.equal(isValidTimeZone('Asia/Shanghai'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(null), false);
+});
+
+test('localDay gives the calendar day in the learner\'s time zone', () => {
+  const moment = new Date('2024-03-10T20:30:00Z');
+  assert.equal(localDay(moment), '2024-03-10');
+  assert.equal(localDay(moment, 'Asia/Shanghai'), '2024-03-11');
+  assert.equal(localDay(moment, 'America/Los_Angeles'), '2024-03-10');
+  assert.equal(localDay(new Date('2024-03-10T02:00:00Z'), 'America/Los_Angeles'), '2024-03-09');
+});
+
+test('localDay falls back to UTC for unknown zones', () => {
+  assert.equal(localDay(new Date('2024-03-10T23:30:00Z'), 'Not/AZone'), '2024-03-10');
+});
+
+test('addDays crosses month, year and leap-day boundaries', () => {
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+  assert.equal(addDays('2023-12-31', 1), '2024-01-01');
+  assert.equal(addDays('2024-01-10', 0), '2024-01-10');
+});
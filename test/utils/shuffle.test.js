@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { randomSeed, seededRandom, seededShuffle } = require('../../src/utils/shuffle');
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+test('seededRandom repeats its sequence for a seed and stays in [0, 1)', () => {
+  const a = seededRandom(42);
+  const b = seededRandom(42);
+  for (let i = 0; i < 100; i++) {
+    const value = a();
+    assert.equal(value, b());
+    assert.ok(value >= 0 && value < 1);
+  }
+});
+
+test('seededShuffle is reproducible and differs between seeds', () => {
+  const items = range(50);
+  assert.deepEqual(seededShuffle(items, 7), seededShuffle(items, 7));
+  assert.notDeepEqual(seededShuffle(items, 7), seededShuffle(items, 8));
+});
+
+test('seededShuffle permutes a copy without losing items', () => {
+  const items = range(30);
+  const shuffled = seededShuffle(items, 123);
+  assert.deepEqual(items, range(30));
+  assert.deepEqual([...shuffled].sort((a, b) => a - b), items);
+  assert.deepEqual(seededShuffle([], 1), []);
+});
+
+test('randomSeed gives unsigned 32-bit integers', () => {
+  const seed = randomSeed();
+  assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diagnoseSpelling, defaultNearMissThreshold } = require('../../src/utils/spelling');
+
+test('identical spellings have no edits', () => {
+  assert.deepEqual(diagnoseSpelling('apple', 'apple'), {
+    distance: 0,
+    wrong_letters: [],
+    missing_letters: [],
+    extra_letters: [],
+    swapped_letters: []
+  });
+});
+
+test('a swap of adjacent letters counts as one edit', () => {
+  const diagnosis = diagnoseSpelling('receive', 'recieve');
+  assert.equal(diagnosis.distance, 1);
+  assert.deepEqual(diagnosis.swapped_letters, [{ position: 3, expected: 'ei', actual: 'ie' }]);
+  assert.deepEqual(diagnosis.wrong_letters, []);
+});
+
+test('wrong, missing and extra letters are reported at positions of the expected word', () => {
+  assert.deepEqual(diagnoseSpelling('house', 'horse').wrong_letters, [{ position: 2, expected: 'u', actual: 'r' }]);
+  assert.deepEqual(diagnoseSpelling('apple', 'aple').missing_letters, [{ position: 1, expected: 'p', actual: null }]);
+  assert.deepEqual(diagnoseSpelling('cat', 'cart').extra_letters, [{ position: 2, expected: null, actual: 'r' }]);
+});
+
+test('distance adds up several edits', () => {
+  const diagnosis = diagnoseSpelling('necessary', 'neccesary');
+  assert.equal(diagnosis.distance, 2);
+  assert.equal(diagnoseSpelling('', 'abc').distance, 3);
+  assert.equal(diagnoseSpelling('abc', '').missing_letters.length, 3);
+});
+
+test('longer words allow more near-miss edits', () => {
+  assert.equal(defaultNearMissThreshold('cat'), 0);
+  assert.equal(defaultNearMissThreshold('apple'), 1);
+  assert.equal(defaultNearMissThreshold('necessary'), 2);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../../src/utils/totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('base32 round-trips arbitrary bytes', () => {
+  const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255, 42]);
+  assert.deepEqual(totp.base32Decode(totp.base32Encode(bytes)), bytes);
+});
+
+test('base32Decode ignores case, spaces and padding', () => {
+  assert.deepEqual(totp.base32Decode('mzxw 6ytb oi======'), Buffer.from('foobar'));
+});
+
+test('base32Decode rejects characters outside the alphabet', () => {
+  assert.throws(() => totp.base32Decode('ABC1'), /Invalid base32 secret/);
+});
+
+test('generateCode matches the RFC 6238 SHA-1 test vectors', () => {
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ];
+  for (const [seconds, code] of vectors) {
+    assert.equal(totp.generateCode(RFC_SECRET, totp.getTimeStep(seconds * 1000)), code);
+  }
+});
+
+test('verifyCode accepts codes within the drift window and returns their step', () => {
+  const step = totp.getTimeStep();
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step)), step);
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1)), step - 1);
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 3)), null);
+});
+
+test('verifyCode refuses steps already used', () => {
+  const step = totp.getTimeStep();
+  const code = totp.generateCode(RFC_SECRET, step);
+  assert.equal(totp.verifyCode(RFC_SECRET, code, { lastUsedStep: step }), null);
+});
+
+test('verifyCode rejects malformed codes', () => {
+  assert.equal(totp.verifyCode(RFC_SECRET, '12345'), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, 'abcdef'), null);
+  assert.equal(totp.verifyCode(null, '123456'), null);
+});
+
+test('buildOtpAuthUrl describes the secret for authenticator apps', () => {
+  const url = new URL(totp.buildOtpAuthUrl('SECRET', 'learner@example.com'));
+  assert.equal(url.protocol, 'otpauth:');
+  assert.equal(url.searchParams.get('secret'), 'SECRET');
+  assert.equal(url.searchParams.get('issuer'), 'VocaBin');
+  assert.equal(url.searchParams.get('digits'), '6');
+  assert.equal(url.searchParams.get('period'), '30');
+});